@@ -1,4 +1,4 @@
-import {html} from '../../html.js'
+import {html, hydrate} from '../../html.js'
 
 /**
  * A simple base class for custom elements that makes it simple to write custom
@@ -8,8 +8,16 @@ export class Base extends HTMLElement {
 	constructor() {
 		super()
 
-		this.attachShadow({mode: 'open'})
-		queueMicrotask(() => this.shadowRoot?.append(...this.template()(this)))
+		// A shadow root that already exists was rendered on the server with
+		// Declarative Shadow DOM, so take over its content instead of appending
+		// a second copy.
+		const {shadowRoot} = this
+
+		if (shadowRoot) queueMicrotask(() => hydrate(this.template(), shadowRoot, this))
+		else {
+			this.attachShadow({mode: 'open'})
+			queueMicrotask(() => this.shadowRoot?.append(...this.template()(this)))
+		}
 	}
 
 	/**
@@ -1,4 +1,4 @@
-import {html} from '../../html.js'
+import {html, createRef} from '../../html.js'
 import {Base} from './Base.js'
 
 class CoolCounter extends Base {
@@ -13,11 +13,17 @@ class CoolCounter extends Base {
 		this.update()
 	}
 
-	increment = () => this.value++
+	#button = createRef()
+
+	increment = () => {
+		this.value++
+		// Keep a handle to the button with a ref, instead of querying for it.
+		this.#button.current?.animate([{transform: 'scale(1.1)'}, {transform: 'scale(1)'}], 200)
+	}
 
 	template() {
 		return html`
-			<button .onclick=${this.increment}>Increment! (count: ${this.value})</button>
+			<button ref=${this.#button} .onclick=${this.increment}>Increment! (count: ${this.value})</button>
 
 			<style>
 				button {
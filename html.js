@@ -37,6 +37,140 @@ export function mathml(strings, ...values) {
 	return handleTemplateTag('mathml', strings, ...values)
 }
 
+/**
+ * Module-wide settings, changed with `configure()`.
+ * @type {Config}
+ */
+const config = {
+	delegateEvents: false,
+	dev: false,
+	strict: false,
+	trustedTypesPolicyName: 'nimble-html',
+	urlSchemes: ['http', 'https', 'mailto', 'tel', 'ftp', 'sms', 'blob'],
+}
+
+/**
+ * Change module-wide settings. Only the given settings are changed.
+ *
+ * ```js
+ * configure({delegateEvents: true})
+ * ```
+ *
+ * @param {Partial<Config>} options
+ */
+export function configure(options) {
+	Object.assign(config, options)
+}
+
+/**
+ * The strings of templates created with a tag wrapped by `strict()`.
+ * @type {WeakSet<TemplateStringsArray>}
+ */
+const strictTemplateStrings = new WeakSet()
+
+/**
+ * Wrap a template tag so that its templates are in strict mode: string event
+ * handlers, which need `unsafe-eval` in a CSP, throw instead of being compiled
+ * with `new Function`. Use `configure({strict: true})` for all templates.
+ *
+ * ```js
+ * const html = strict(nimbleHtml)
+ * html`<button @click="save()">Save</button>` // throws when rendered
+ * ```
+ *
+ * @template {typeof html} T
+ * @param {T} tag `html`, `svg`, or `mathml`.
+ * @returns {T}
+ */
+export function strict(tag) {
+	return /** @type {T} */ (
+		(/** @type {TemplateStringsArray} */ strings, /** @type {InterpolationValue[]} */ ...values) => {
+			strictTemplateStrings.add(strings)
+			return tag(strings, ...values)
+		}
+	)
+}
+
+/**
+ * Describe a template by its source, for error messages.
+ * @param {TemplateStringsArray | undefined} strings
+ * @returns {string}
+ */
+function describeTemplate(strings) {
+	if (!strings) return 'a template'
+	const source = strings.join('${…}').replace(WHITESPACE_RUN_REGEXP, ' ').trim()
+	return '`' + (source.length > 60 ? source.slice(0, 59) + '…' : source) + '`'
+}
+
+/**
+ * The Trusted Types policy that blesses template markup and static event
+ * handler code, created when first needed.
+ * @type {any}
+ */
+let trustedTypesPolicy
+
+/**
+ * Get the library's Trusted Types policy, creating it with the configured name
+ * if needed. Returns undefined where Trusted Types are not supported.
+ *
+ * The policy passes its input through as is, so it must only ever be given
+ * strings that were written by the developer in template literals, never
+ * interpolated values.
+ */
+function getTrustedTypesPolicy() {
+	const name = config.trustedTypesPolicyName
+	if (trustedTypesPolicy?.name !== name)
+		trustedTypesPolicy = /** @type {any} */ (globalThis).trustedTypes?.createPolicy(name, {
+			createHTML: (/** @type {string} */ html) => html,
+			createScript: (/** @type {string} */ script) => script,
+		})
+	return trustedTypesPolicy
+}
+
+/**
+ * Mark the markup of a template as TrustedHTML, for assigning to `innerHTML`
+ * under a `require-trusted-types-for 'script'` CSP.
+ *
+ * @param {string} markup Markup built only from `strings`.
+ * @param {TemplateStringsArray} strings The strings of the template literal.
+ * @returns {string} The markup, as TrustedHTML where Trusted Types are supported.
+ */
+function trustTemplateMarkup(markup, strings) {
+	const policy = getTrustedTypesPolicy()
+	if (!policy) return markup
+
+	// Text from unsafeStatic() is left to the page's default policy, if any
+	if (unsafeStaticTemplateStrings.has(strings)) return markup
+
+	// Only the strings of a real template literal are developer-authored
+	if (!Array.isArray(strings) || !Array.isArray(/** @type {any} */ (strings).raw))
+		throw new TypeError('Templates can only be created from the strings of a template literal.')
+
+	return policy.createHTML(markup)
+}
+
+/**
+ * Create an event listener from a string of code, as with `onclick`
+ * attributes. Only code written in the template itself is blessed with the
+ * Trusted Types policy, so code from interpolated values is still subject to
+ * the page's CSP.
+ *
+ * @param {InterpolationSite} site
+ * @param {string} code
+ * @param {boolean} isStatic Whether the code comes only from template strings.
+ */
+function createEventHandlerFunction(site, code, isStatic) {
+	if (config.strict || (site.templateStrings && strictTemplateStrings.has(site.templateStrings)))
+		throw new Error(
+			`String event handlers are not allowed in strict mode, but @${site.attributeName} in ${describeTemplate(site.templateStrings)} has one. Use a function instead.`,
+		)
+
+	const hasUnsafeStatic = !!site.templateStrings && unsafeStaticTemplateStrings.has(site.templateStrings)
+	const policy = isStatic && !hasUnsafeStatic ? getTrustedTypesPolicy() : undefined
+	if (!policy) return /** @type {EventListener} */ (new Function('event', code))
+	return /** @type {EventListener} */ (new Function(policy.createScript('event'), policy.createScript(code)))
+}
+
 /** Unique symbol to mark force wrapped values */
 const FORCE_SYMBOL = Symbol('force')
 
@@ -97,743 +231,3718 @@ function handleForceValue(site, value) {
 	return value
 }
 
+/** Unique symbol to mark static values, from `literal` or `unsafeStatic()` */
+const STATIC_SYMBOL = Symbol('static')
+
 /**
- * @param {TemplateMode} mode
- * @param {TemplateStringsArray} strings
- * @param {...InterpolationValue} values
- * @returns {(key: any) => TemplateNodes} A function that accepts a key for
- * template instance identity, and returns DOM nodes rendered with the given
- * values.
+ * Static values with text from `unsafeStatic()`, directly or through
+ * `literal`, which is not developer-authored.
+ * @type {WeakSet<StaticValue>}
  */
-function handleTemplateTag(mode, strings, ...values) {
-	const template = parseTemplate(strings, mode)
+const unsafeStaticValues = new WeakSet()
 
-	const useFunctionWrapper = true
+/**
+ * A template tag for static values: text that becomes part of a template's
+ * markup rather than being interpolated, f.e. a tag name. Only other static
+ * values can be interpolated into it.
+ *
+ * ```js
+ * const tag = level === 1 ? literal`h1` : literal`h2`
+ * html`<${tag} class="title">${title}</${tag}>`
+ * ```
+ *
+ * @param {TemplateStringsArray} strings
+ * @param {...StaticValue} values
+ * @returns {StaticValue}
+ */
+export function literal(strings, ...values) {
+	const text = strings.reduce((acc, str, i) => {
+		if (i === 0) return str
+		const value = values[i - 1]
+		if (!isStaticValue(value))
+			throw new TypeError('Only static values from literal or unsafeStatic() can be interpolated into literal.')
+		return acc + value[STATIC_SYMBOL] + str
+	}, '')
 
-	if (useFunctionWrapper)
-		return function (key = Symbol()) {
-			template.values = values
-			return template.updateInstance(key)
-		}
-	else {
-		template.values = values
-		return template.updateInstance
-	}
+	const staticValue = {[STATIC_SYMBOL]: text}
+	if (values.some(value => unsafeStaticValues.has(value))) unsafeStaticValues.add(staticValue)
+	return staticValue
 }
 
 /**
- * Template cache based on template strings (source location)
- * @type {WeakMap<TemplateStringsArray, Template>}
+ * Make a static value from any string, f.e. a tag name chosen at runtime. The
+ * string becomes part of the template's markup as is, so it must never come
+ * from user input. Each distinct string creates a new template.
+ *
+ * ```js
+ * html`<${unsafeStatic(element.tagName)}></${unsafeStatic(element.tagName)}>`
+ * ```
+ *
+ * @param {string} text
+ * @returns {StaticValue}
  */
-const templateCache = new WeakMap()
-
-/** Unique marker for interpolation sites */
-const INTERPOLATION_MARKER = '⧙⧘'
+export function unsafeStatic(text) {
+	const staticValue = {[STATIC_SYMBOL]: String(text)}
+	unsafeStaticValues.add(staticValue)
+	return staticValue
+}
 
-/** RegExp for matching interpolation markers */
-const INTERPOLATION_REGEXP = new RegExp(`${INTERPOLATION_MARKER}(\\d+)${INTERPOLATION_MARKER}`)
+/**
+ * Check if a value is a static value
+ * @param {InterpolationValue} value
+ * @returns {value is StaticValue}
+ */
+function isStaticValue(value) {
+	return typeof value === 'object' && value !== null && STATIC_SYMBOL in value
+}
 
-/** Regex for finding HTML opening/self-closing tags */
-const HTML_TAG_REGEXP = /<[^<>]*?\/?>/g
+/** Unique symbol to mark repeat() values */
+const REPEAT_SYMBOL = Symbol('repeat')
 
-const ATTRIBUTE_END_REGEXP = /[\s=\/>]/
+/**
+ * Render a keyed list at a text interpolation site. Each item's DOM and
+ * template instance is associated with the key returned by `keyFn`, so when
+ * items are reordered, added, or removed, existing DOM is moved instead of
+ * being re-rendered, and only the minimal number of nodes are moved.
+ *
+ * @template T
+ * @param {Iterable<T>} items
+ * @param {(item: T, index: number) => unknown} keyFn Returns a unique key for each item.
+ * @param {(item: T, index: number) => InterpolationValue} templateFn Returns the
+ * content to render for each item, typically an `html` template.
+ */
+export function repeat(items, keyFn, templateFn) {
+	return {[REPEAT_SYMBOL]: {items, keyFn, templateFn}}
+}
 
 /**
- * Parse parts array, converting alternating indices to numbers
- * @param {string[]} parts
- * @param {boolean} isTopLevel - Whether this text node is at the top level of the template
- * @returns {(string|number)[]}
+ * Check if a value was created with repeat()
+ * @param {InterpolationValue} value
+ * @returns {value is {[REPEAT_SYMBOL]: RepeatOptions}}
  */
-function parseInterpolationParts(parts, isTopLevel = false) {
-	let mapped = parts.map((part, i) => (i % 2 === 1 ? parseInt(part) : part))
+function isRepeat(value) {
+	return typeof value === 'object' && value !== null && REPEAT_SYMBOL in value
+}
 
-	// For top-level text nodes, filter out whitespace-only string parts
-	// For text nodes inside elements, preserve all parts including whitespace
-	if (isTopLevel) mapped = mapped.filter(part => typeof part === 'number' || part.trim() !== '')
+/**
+ * Dispose the template instances that were created with the given key: event
+ * listeners added for `@event` sites are removed, nested template instances are
+ * disposed recursively, cleanup callbacks registered with `onDispose()` are
+ * called, and the instances are removed from the cache. Calling a template with
+ * the same key afterwards creates a new instance.
+ *
+ * The DOM nodes of disposed instances are not removed from the document.
+ *
+ * @param {TemplateKey} key
+ */
+export function dispose(key) {
+	const instances = keyedInstances.get(key)
+	if (!instances) return
+	for (const instance of [...instances]) instance.dispose()
+}
 
-	return mapped
+/**
+ * Register a callback to run when the template instances that were created
+ * with the given key are disposed.
+ *
+ * @param {TemplateKey} key
+ * @param {() => void} callback
+ */
+export function onDispose(key, callback) {
+	const instances = keyedInstances.get(key)
+	if (!instances?.size)
+		throw new Error('No template instance exists for the given key. Render a template with the key first.')
+	for (const instance of instances) instance.onDispose(callback)
 }
 
 /**
- * Join parts with value substitution
- * @param {(string|number)[]} parts
- * @param {InterpolationValue[]} values
- * @returns {string}
+ * Create a ref object to pass to a `ref=${...}` binding. Its `current`
+ * property holds the bound element while the template instance is rendered,
+ * and `null` otherwise.
+ *
+ * ```js
+ * const button = createRef()
+ * html`<button ref=${button}>Click</button>`(key)
+ * button.current.focus()
+ * ```
+ *
+ * @template {Element} [T=Element]
+ * @returns {RefObject<T>}
  */
-function joinPartsWithValues(parts, values) {
-	return parts
-		.map((/** @type {string|number} */ part) => (typeof part === 'number' ? String(values[part] ?? '') : part))
-		.join('')
+export function createRef() {
+	return {current: null}
 }
 
 /**
- * Split text nodes containing interpolation markers into separate text nodes.
- * This is done once during template creation.
- * @param {DocumentFragment} fragment
+ * Give an element to a ref callback or ref object.
+ * @param {unknown} ref
+ * @param {Element | null} element
  */
-function splitTextNodesWithInterpolation(fragment) {
-	const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_TEXT, null)
-	let textNode = /** @type {Text | null} */ (walker.nextNode())
+function setRef(ref, element) {
+	if (typeof ref === 'function') ref(element)
+	else if (ref && typeof ref === 'object') /** @type {RefObject} */ (ref).current = element
+}
 
-	while (textNode) {
-		// Collect the next node first, so we don't break iteration when replacing the current node.
-		const nextNode = /** @type {Text | null} */ (walker.nextNode())
-		const textContent = textNode.textContent || ''
+/** Unique symbol to mark directive values */
+const DIRECTIVE_SYMBOL = Symbol('directive')
 
-		// Split each text node with an interpolation
-		if (textContent.includes(INTERPOLATION_MARKER)) {
-			// Check if this text node is a direct child of the template fragment (top level)
-			const isTopLevel = textNode.parentNode === fragment
-			const parts = textContent.split(INTERPOLATION_REGEXP)
-			const parsedParts = parseInterpolationParts(parts, isTopLevel)
+/**
+ * A value that directives can return from `update()` to leave the DOM of
+ * their site unchanged.
+ */
+export const noChange = Symbol('noChange')
 
-			// Only split if we have more than one part (static text + interpolations)
-			if (parsedParts.length > 1) {
-				const newTextNodes = parsedParts.map(
-					part => new Text(typeof part === 'number' ? `${INTERPOLATION_MARKER}${part}${INTERPOLATION_MARKER}` : part),
-				)
+/**
+ * Create a directive from a directive class. A directive takes full control of
+ * how the interpolation site that it is used in is rendered.
+ *
+ * The directive class is instantiated once per site with a `Part` describing
+ * the site. Its `update(part, values)` method is called on every render with
+ * the values that the directive function was called with, and returns the value
+ * to render into the site (or `noChange`). Values can also be rendered at any
+ * time with `part.setValue(value)`, f.e. after some async work. The optional
+ * `disconnect()` method is called when the site receives a value that is not
+ * the same directive, or when the template instance is disposed.
+ *
+ * ```js
+ * const uppercase = directive(
+ *   class {
+ *     update(part, [text]) {
+ *       return text.toUpperCase()
+ *     }
+ *   },
+ * )
+ *
+ * html`<p title=${uppercase('hi')}>${uppercase('hello')}</p>`
+ * ```
+ *
+ * @template {DirectiveClass} C
+ * @param {C} DirectiveClass
+ * @returns {(...values: DirectiveValues<C>) => DirectiveResult}
+ */
+export function directive(DirectiveClass) {
+	return (...values) => ({[DIRECTIVE_SYMBOL]: {DirectiveClass, values}})
+}
 
-				// Replace the original text node with the split text nodes
-				// (static, interpolated, static, interpolated, etc)
-				textNode.replaceWith(...newTextNodes)
-			}
-		}
+/**
+ * Check if a value was created by a directive function
+ * @param {InterpolationValue} value
+ * @returns {value is DirectiveResult}
+ */
+function isDirectiveResult(value) {
+	return typeof value === 'object' && value !== null && DIRECTIVE_SYMBOL in value
+}
 
-		textNode = nextNode
-	}
+/**
+ * Check if a value is a Promise or other thenable
+ * @param {InterpolationValue} value
+ * @returns {value is PromiseLike<unknown>}
+ */
+function isThenable(value) {
+	return typeof value === 'object' && value !== null && typeof (/** @type {any} */ (value).then) === 'function'
 }
 
-class Template {
-	/** @type {WeakMap<TemplateKey, TemplateInstance>} */
-	instances = new WeakMap()
-	el = document.createElement('template')
-	caseMappings = new Map()
+class UntilDirective {
+	/**
+	 * Promises are not awaited when rendering to a string, so render the
+	 * placeholder. When streaming, the promise is awaited instead.
+	 * @param {unknown} promise
+	 * @param {unknown} [placeholder]
+	 */
+	static render(promise, placeholder) {
+		return isThenable(promise) ? placeholder : promise
+	}
+
+	/** @type {unknown} */
+	promise = undefined
 
 	/**
-	 * @param {TemplateMode} mode
-	 * @param {TemplateStringsArray} strings
+	 * @param {Part} part
+	 * @param {[promise: unknown, placeholder?: unknown, fallback?: (error: unknown) => unknown]} values
 	 */
-	constructor(strings, mode) {
-		// Join strings with interpolation markers
-		let htmlString = strings.reduce(
-			(acc, str, i) => acc + str + (i < strings.length - 1 ? `${INTERPOLATION_MARKER}${i}${INTERPOLATION_MARKER}` : ''),
-			'',
-		)
+	update(part, [promise, placeholder, fallback]) {
+		if (promise === this.promise) return noChange
+		this.promise = promise
 
-		// Wrap content in appropriate root elements for SVG and MathML modes
-		// so that the HTML parser creates elements with correct namespaces
-		if (mode === 'svg') htmlString = `<svg>${htmlString}</svg>`
-		else if (mode === 'mathml') htmlString = `<math>${htmlString}</math>`
+		if (!isThenable(promise)) return promise
 
-		const {caseMappings, el} = this
+		promise.then(
+			value => {
+				// Ignore stale promises
+				if (this.promise === promise) part.setValue(value)
+			},
+			error => {
+				if (this.promise !== promise) return
+				if (fallback) part.setValue(fallback(error))
+				else if (config.dev) console.error('A promise rendered into a site was rejected:', error)
+			},
+		)
 
-		// Preprocessing for case sensitivity: map .someProp to .someprop and remember the original
-		let counter = 0
+		return placeholder === undefined ? noChange : placeholder
+	}
+}
 
-		// How the case-preserved${count} works:
-		// 1. We replace all .someProp, .otherProp, etc with .case-preserved0,
-		//    .case-preserved1, etc and store the mapping from .case-preserved0 ->
-		//    someProp, .case-preserved1 -> otherProp, etc in caseMappings.
-		// 2. Later, when processing the attributes, we can look up the original
-		//    case-sensitive property name using the placeholder.
-		// 3. This allows us to avoid issues with HTML attribute names being
-		//    case-insensitive, while still preserving the original case for JS
-		//    property names so we can set them correctly on the elements.
+/**
+ * Render the placeholder content into a site until the given promise resolves,
+ * then render the resolved value. If the site receives another value in the
+ * meantime, the resolved value of the older promise is never rendered. If the
+ * promise rejects, the value returned by the optional fallback function for
+ * the error is rendered instead, otherwise the site keeps its content.
+ *
+ * Promises can also be interpolated directly into sites with a single value
+ * (f.e. `${promise}` or `attr=${promise}`), which is the same as `until(promise)`
+ * without a placeholder: the site keeps its previous content until the promise
+ * resolves.
+ *
+ * @example
+ * html`<p>${until(fetchUserName(), 'Loading...', error => `Failed: ${error}`)}</p>`
+ */
+export const until = directive(UntilDirective)
 
-		// Scan for HTML tags and process .property attributes within each tag
-		htmlString = htmlString.replace(HTML_TAG_REGEXP, tagMatch => {
-			// Parse the tag content more carefully to avoid matching dots inside quoted attribute values
-			const parts = []
-			let lastIndex = 0
-			let inQuotes = false
-			let quoteChar = ''
-			let i = 0
+/**
+ * Check if a value is an async iterable, or a ReadableStream (which is not
+ * async iterable in all browsers yet)
+ * @param {InterpolationValue} value
+ * @returns {value is AsyncIterable<unknown> | ReadableStream<unknown>}
+ */
+function isAsyncIterable(value) {
+	if (typeof value !== 'object' || value === null) return false
+	if (typeof (/** @type {any} */ (value)[Symbol.asyncIterator]) === 'function') return true
+	return typeof ReadableStream !== 'undefined' && value instanceof ReadableStream
+}
 
-			while (i < tagMatch.length) {
-				const char = tagMatch[i]
+/**
+ * @param {AsyncIterable<unknown> | ReadableStream<unknown>} iterable
+ * @returns {AsyncIterator<unknown>}
+ */
+function getAsyncIterator(iterable) {
+	if (Symbol.asyncIterator in iterable) return iterable[Symbol.asyncIterator]()
 
-				if (!inQuotes && (char === '"' || char === "'")) {
-					inQuotes = true
-					quoteChar = char
-				} else if (inQuotes && char === quoteChar) {
-					inQuotes = false
-					quoteChar = ''
-				} else if (!inQuotes && i > 0 && /\s/.test(tagMatch[i - 1])) {
-					// Detect attribute patterns when preceded by whitespace and not in quotes
-					let prefix = null
+	const reader = iterable.getReader()
+	return {
+		next: () => reader.read(),
+		return: async () => {
+			await reader.cancel()
+			return {done: true, value: undefined}
+		},
+	}
+}
 
-					// Detect different attribute patterns
-					if (char === '.' || char === '@') {
-						// Case 1: .prop or @event (case-sensitive attributes)
-						prefix = char
-					} else if (char === '!' && i + 1 < tagMatch.length) {
-						const nextChar = tagMatch[i + 1]
-						// Case 2: !@event (forced case-sensitive event attributes)
-						if (nextChar === '.') prefix = '!.'
-						// Case 3: !.prop (forced case-sensitive property attributes)
-						if (nextChar === '@') prefix = '!@'
-						// Case 4: !?attr (forced boolean attributes, no special handling needed)
-						else if (nextChar === '?') prefix = null
-						// Case 5: !attr (forced regular attributes, no special handling needed)
-						else if (/[a-zA-Z]/.test(nextChar)) prefix = null
-					}
+/**
+ * Renders each value of an async iterable into a site, replacing the
+ * previously rendered value.
+ */
+class AsyncReplaceDirective {
+	/** @type {unknown} */
+	iterable = undefined
 
-					// Process case-sensitive attributes
-					if (prefix) {
-						const startIndex = i
-						const attrStartIndex = startIndex + prefix.length
-						let attrEnd = attrStartIndex
+	/** @type {AsyncIterator<unknown> | undefined} */
+	iterator = undefined
 
-						while (attrEnd < tagMatch.length && !ATTRIBUTE_END_REGEXP.test(tagMatch[attrEnd])) attrEnd++
+	/**
+	 * @param {Part} part
+	 * @param {[iterable: unknown, mapper?: (value: unknown, index: number) => unknown]} values
+	 */
+	update(part, [iterable, mapper]) {
+		if (iterable === this.iterable) return noChange
+		this.stop()
+		this.iterable = iterable
 
-						if (attrEnd > attrStartIndex) {
-							// Extract the attribute name
-							const attrName = tagMatch.slice(attrStartIndex, attrEnd)
-							let placeholder
+		if (!isAsyncIterable(iterable)) return iterable
 
-							// Properties and events use case-preserved placeholders
-							placeholder = `${prefix}case-preserved${counter}`
-							const hasForce = prefix.startsWith('!')
-							caseMappings.set(placeholder.slice(hasForce ? 2 : 1), attrName)
+		this.iterate(part, getAsyncIterator(iterable), mapper)
+		return this.reset()
+	}
 
-							counter++
+	/**
+	 * Called when a new iterable starts, returns the value to render until
+	 * the first value arrives.
+	 * @returns {InterpolationValue}
+	 */
+	reset() {
+		return noChange
+	}
 
-							// Add the part before this replacement
-							parts.push(tagMatch.slice(lastIndex, startIndex))
-							parts.push(placeholder) // Add the placeholder (skip ! for case-sensitive attributes)
-							lastIndex = attrEnd // Update tracking
-							i = attrEnd - 1 // -1 because the loop will increment
-						}
-					}
-				}
-				i++
+	/**
+	 * @param {Part} part
+	 * @param {AsyncIterator<unknown>} iterator
+	 * @param {((value: unknown, index: number) => unknown)=} mapper
+	 */
+	async iterate(part, iterator, mapper) {
+		this.iterator = iterator
+
+		try {
+			for (let index = 0; ; index++) {
+				const result = await iterator.next()
+
+				// Stop if the site received another value in the meantime
+				if (result.done || this.iterator !== iterator || !part.isConnected) return
+
+				this.commit(part, mapper ? mapper(result.value, index) : result.value)
 			}
+		} catch (error) {
+			// The site keeps the values that were rendered before the error
+			if (config.dev && this.iterator === iterator)
+				console.error('An async iterable rendered into a site threw:', error)
+		}
+	}
 
-			parts.push(tagMatch.slice(lastIndex)) // Add the remaining part
+	/**
+	 * @param {Part} part
+	 * @param {unknown} value
+	 */
+	commit(part, value) {
+		part.setValue(value)
+	}
 
-			return parts.join('')
-		})
+	stop() {
+		const {iterator} = this
+		this.iterator = undefined
+		Promise.resolve(iterator?.return?.()).catch(() => {}) // Errors while stopping are of no interest
+	}
 
-		// Use the standard HTML parser to parse the string into a template document
-		el.innerHTML = htmlString
+	disconnect() {
+		this.stop()
+	}
+}
 
-		// For SVG and MathML templates, unwrap the content from the wrapper
-		// element that was added during parsing, and remove the wrapper, to
-		// ensure proper namespace handling.
-		if (mode === 'svg' || mode === 'mathml') {
-			const wrapperElement = /** @type {Element} */ (el.content.firstElementChild)
-			wrapperElement.replaceWith(...wrapperElement.childNodes)
-		}
+/**
+ * Renders each value of an async iterable into a text site, appending it after
+ * the previously rendered values.
+ */
+class AsyncAppendDirective extends AsyncReplaceDirective {
+	/** @type {symbol[]} Keys of the nested template instances rendered for each value */
+	keys = []
 
-		// Pre-split text nodes that contain interpolation markers
-		// This is done once during template creation for better performance
-		splitTextNodesWithInterpolation(el.content)
+	/** @param {Part} part */
+	constructor(part) {
+		super()
+		if (part.type !== 'text') throw new Error('asyncAppend() can only be used in text interpolation sites.')
+	}
 
-		// Remove empty whitespace-only text nodes, from the top level of the
-		// template only, for the convenience of being able to easily get references
-		// to top level nodes. This allows usage like the following for a single top
-		// level element:
-		//
-		// ```js
-		// const div = html`
-		//   <div>
-		//     ...
-		//   </div>
-		// `()
-		// ```
-		//
-		// Text nodes that are not direct children of the template (f.e. inside
-		// elements) are not removed, to preserve whitespace where it may be
-		// significant.
-		//
-		// This only removes text nodes that are entirely static whitespace. Text
-		// nodes that contain interpolation markers, or non-whitespace content, are
-		// preserved. This allows getting access to top level text nodes that may
-		// contain important content. For example:
-		//
-		// ```js
-		// const nodes = html`
-		//   ${someDynamicContent}
-		//   <div>...</div>
-		// `()
-		// const textNode = nodes[0]; // Access the dynamic text node
-		// const div = nodes[1]; // Access the div element
-		// ```
-		//
-		// If you need whitespace to be preserved, consider using explicit markers
-		// like `${' '}` for spaces at the top level, or wrapping text in elements.
-		// For example:
-		//
-		// ```js
-		// const nodes = html`
-		//   <pre>
-		//     All text inside elements is preserved, including whitespace.
-		//     ${someDynamicContent}
-		//   </pre>
-		//   ${' '/* this explicit whitespace is preserved */}
-		//   <span>...</span>
-		//   This text node without whitespace is also preserved.
-		// `()
-		//
-		// const pre = nodes[0];
-		// const textNode = nodes[1]; // This is the explicit whitespace text node
-		// const span = nodes[2];
-		// const textNode2 = nodes[3]; // This is the static text node
-		// ```
-		//
-		// This makes accessing top level nodes easy, based on the visual structure
-		// of the template.
-		for (const node of el.content.childNodes) {
-			if (node.nodeType !== Node.TEXT_NODE) continue
-			if (!(node.textContent || '').includes(INTERPOLATION_MARKER) && (node.textContent || '').trim() === '')
-				node.remove()
-		}
+	reset() {
+		this.disposeNested()
+		return []
 	}
 
 	/**
-	 * @param {TemplateKey} key The key for the template instance
-	 * @returns {TemplateInstance}
+	 * @param {Part} part
+	 * @param {unknown} value
 	 */
-	getInstance(key) {
-		let templateInstance = this.instances.get(key)
+	commit(part, value) {
+		const key = Symbol('async-append-key')
+		this.keys.push(key)
 
-		// Create a new instance if not cached yet
-		if (!templateInstance) {
-			// Create a new template instance.
-			// We're using importNode instead of cloneNode to ensure that custom
-			// elements are properly upgraded immediately when cloned, to avoid
-			// users facing issues with un-upgraded elements in templates prior
-			// to users connecting the elements to the DOM (issues like a
-			// template .prop= expression setting a property before the element
-			// is upgraded, shadowing getters/setters and breaking reactivity,
-			// causing confusion and frustration).
-			const fragment = document.importNode(this.el.content, true) // deep clone
+		// Only insert the new nodes, the nodes of previous values stay as they are.
+		const site = partSites.get(part)
+		if (site && part.isConnected)
+			appendNodesToSite(
+				site,
+				itemsToNodes([value], () => key),
+			)
+	}
 
-			const sites = findInterpolationSites(fragment, this.caseMappings)
-			const nodes = /** @type {TemplateNodes} */ (Object.freeze(Array.from(fragment.childNodes)))
+	disposeNested() {
+		for (const key of this.keys) dispose(key)
+		this.keys = []
+	}
 
-			templateInstance = new TemplateInstance(nodes, sites)
+	disconnect() {
+		super.disconnect()
+		this.disposeNested()
+	}
+}
 
-			this.instances.set(key, templateInstance)
-		}
+/**
+ * Render each value of an async iterable (or ReadableStream) into a site as it
+ * arrives, replacing the previous value. Iteration stops when the site receives
+ * another value, or the template instance is disposed.
+ *
+ * Async iterables can also be interpolated directly into text sites, which is
+ * the same as `asyncReplace(iterable)`. Other sites receive the iterable itself.
+ *
+ * @example
+ * html`<p>Status: ${asyncReplace(statusUpdates())}</p>`
+ */
+export const asyncReplace = directive(AsyncReplaceDirective)
 
-		return templateInstance
+/**
+ * Render each value of an async iterable (or ReadableStream) into a text site
+ * as it arrives, appending it after the previous values. Iteration stops when
+ * the site receives another value, or the template instance is disposed.
+ *
+ * @example
+ * html`<pre>${asyncAppend(logLines)}</pre>`
+ */
+export const asyncAppend = directive(AsyncAppendDirective)
+
+/** Markup that is rendered on the server as is, without escaping. */
+class RawMarkup {
+	markup
+
+	/** @param {string} markup */
+	constructor(markup) {
+		this.markup = markup
 	}
+}
 
-	/** @type {InterpolationValue[]} */
-	values = []
+/**
+ * Renders a string of markup into a text site as DOM nodes, parsed as HTML (or
+ * in the namespace of the site's SVG or MathML parent).
+ */
+class UnsafeHTMLDirective {
+	/**
+	 * Markup is rendered as is on the server, where there is no sanitizer.
+	 * @param {unknown} markup
+	 */
+	static render(markup) {
+		return new RawMarkup(String(markup ?? ''))
+	}
+
+	/** @type {TemplateMode} */
+	mode = 'html'
+
+	/** @type {unknown} */
+	markup = undefined
+
+	/** @param {Part} part */
+	constructor(part) {
+		if (part.type !== 'text')
+			throw new Error('unsafeHTML() and unsafeSVG() can only be used in text interpolation sites.')
+	}
 
 	/**
-	 * Update instance with new values. This gets returned by the `html`
-	 * function for users to call with their keys.
-	 *
-	 * @param {TemplateKey=} key
+	 * @param {Part} part
+	 * @param {[markup: unknown, options?: UnsafeMarkupOptions | null]} values
 	 */
-	updateInstance = (key = Symbol()) => {
-		const templateInstance = this.getInstance(key)
-		templateInstance.applyValues(this.values)
-		return templateInstance.nodes
+	update(part, [markup, options]) {
+		if (markup === this.markup) return noChange
+		this.markup = markup
+
+		if (markup == null || markup === '') return []
+		return parseUnsafeMarkup(markup, this.mode, part.node.parentNode, options?.sanitizer)
 	}
 }
 
+/** Renders a string of markup into a text site as SVG DOM nodes. */
+class UnsafeSVGDirective extends UnsafeHTMLDirective {
+	/** @type {TemplateMode} */
+	mode = 'svg'
+}
+
 /**
- * Create a Template containing a `<template>` with the DOM representation of
- * the HTML for cloning into "template instances", and other data, associated
- * with the given template strings.
+ * Parse markup into nodes. Where the HTML Sanitizer API is supported, the
+ * markup is parsed with `setHTML()`, which removes scripts and other unsafe
+ * content, with the given sanitizer or the browser's default one.
  *
+ * @param {unknown} markup A string, or TrustedHTML from the app's own policy.
  * @param {TemplateMode} mode
- * @param {TemplateStringsArray} strings
+ * @param {Node | null} parent The node the markup will be inserted into.
+ * @param {unknown} sanitizer A `Sanitizer` or sanitizer config for `setHTML()`.
+ * @returns {(Element | Text)[]}
+ */
+function parseUnsafeMarkup(markup, mode, parent, sanitizer) {
+	// Like innerHTML, markup for an SVG or MathML parent is parsed in its namespace
+	if (mode === 'html' && parent instanceof Element && parent.localName !== 'foreignObject') {
+		if (parent.namespaceURI === SVG_NAMESPACE) mode = 'svg'
+		else if (parent.namespaceURI === MATHML_NAMESPACE) mode = 'mathml'
+	}
+
+	const template = document.createElement('template')
+
+	// SVG and MathML are parsed in an <svg> or <math> element, instead of being
+	// wrapped in one, so that TrustedHTML is passed to innerHTML as is. The
+	// element is created in the inert document of the template's content, so
+	// that nothing is loaded while parsing.
+	/** @type {any} */
+	const container =
+		mode === 'svg'
+			? template.content.ownerDocument.createElementNS(SVG_NAMESPACE, 'svg')
+			: mode === 'mathml'
+				? template.content.ownerDocument.createElementNS(MATHML_NAMESPACE, 'math')
+				: template
+
+	if (typeof container.setHTML === 'function') container.setHTML(String(markup), sanitizer ? {sanitizer} : {})
+	else container.innerHTML = markup
+
+	const nodes = mode === 'html' ? template.content.childNodes : container.childNodes
+	return /** @type {(Element | Text)[]} */ (Array.from(nodes))
+}
+
+/**
+ * Render a string of trusted markup, f.e. HTML from a CMS, into a text site as
+ * DOM nodes. The nodes are replaced when the site receives different markup.
  *
- * @returns {Template} The Template instance contains a `<template>` element
- * with the DOM representation of the HTML, with interpolation markers in place,
- * to be cloned when we create any "instance" of the template.
+ * Where the HTML Sanitizer API is supported, the markup is sanitized with
+ * `setHTML()`, with `options.sanitizer` if given. Elsewhere it is parsed with
+ * `innerHTML`, so it must be trusted, or sanitized beforehand.
+ *
+ * @example
+ * html`<article>${unsafeHTML(post.bodyHTML)}</article>`
  */
-function parseTemplate(strings, mode) {
-	let template = templateCache.get(strings)
-	if (!template) templateCache.set(strings, (template = new Template(strings, mode)))
-	return template
+export const unsafeHTML = directive(UnsafeHTMLDirective)
+
+/**
+ * Render a string of trusted SVG markup, f.e. an icon, into a text site as SVG
+ * DOM nodes. See `unsafeHTML()`.
+ *
+ * @example
+ * html`<svg viewBox="0 0 24 24">${unsafeSVG(icons.star)}</svg>`
+ */
+export const unsafeSVG = directive(UnsafeSVGDirective)
+
+/**
+ * Check if a value is a TC39 Signals proposal `Signal.State` or `Signal.Computed`.
+ * @param {InterpolationValue} value
+ * @returns {value is SignalLike}
+ */
+function isTC39Signal(value) {
+	const {Signal} = /** @type {any} */ (globalThis)
+	if (!Signal) return false
+	return value instanceof Signal.State || value instanceof Signal.Computed
+}
+
+/**
+ * Check if a value is a signal: a TC39 `Signal.State` or `Signal.Computed`, or
+ * any object with `subscribe(callback)` and `get()` methods.
+ * @param {InterpolationValue} value
+ * @returns {value is SignalLike}
+ */
+function isSignal(value) {
+	if (typeof value !== 'object' || value === null) return false
+	const signal = /** @type {any} */ (value)
+	return isTC39Signal(value) || (typeof signal.subscribe === 'function' && typeof signal.get === 'function')
+}
+
+/**
+ * Call the callback whenever the value of a TC39 signal changes.
+ * @param {any} Signal The TC39 Signals proposal `Signal` namespace
+ * @param {SignalLike} signal
+ * @param {() => void} callback
+ * @returns {() => void} A function that stops watching.
+ */
+function watchTC39Signal(Signal, signal, callback) {
+	let scheduled = false
+
+	// Watchers are notified synchronously while signals are being set, when
+	// reading signals is not allowed, so we batch updates in a microtask.
+	const watcher = new Signal.subtle.Watcher(() => {
+		if (scheduled) return
+		scheduled = true
+		queueMicrotask(() => {
+			scheduled = false
+			watcher.watch() // Re-arm the watcher to be notified of the next change
+			callback()
+		})
+	})
+
+	watcher.watch(signal)
+	return () => watcher.unwatch(signal)
+}
+
+/**
+ * Call the callback whenever the value of the signal changes.
+ * @param {SignalLike} signal
+ * @param {() => void} callback
+ * @returns {() => void} A function that stops the subscription.
+ */
+function subscribeToSignal(signal, callback) {
+	if (isTC39Signal(signal)) return watchTC39Signal(/** @type {any} */ (globalThis).Signal, signal, callback)
+
+	const subscription = /** @type {SubscribableSignal} */ (signal).subscribe(callback)
+	if (typeof subscription === 'function') return subscription
+	return () => subscription?.unsubscribe()
+}
+
+/**
+ * Renders the value of a signal into a site, and updates only that site when
+ * the signal changes.
+ */
+class SignalDirective {
+	/** @type {SignalLike | undefined} */
+	signal = undefined
+
+	/** @type {(() => void) | undefined} */
+	unsubscribe = undefined
+
+	/**
+	 * @param {Part} part
+	 * @param {[signal: SignalLike]} values
+	 */
+	update(part, [signal]) {
+		if (signal !== this.signal) {
+			this.disconnect()
+			this.signal = signal
+			this.unsubscribe = subscribeToSignal(signal, () => part.setValue(signal.get()))
+		}
+
+		return signal.get()
+	}
+
+	disconnect() {
+		this.unsubscribe?.()
+		this.unsubscribe = undefined
+		this.signal = undefined
+	}
+}
+
+const bindSignal = directive(SignalDirective)
+
+/** @type {ReactivityAdapter | undefined} */
+let defaultReactivityAdapter
+
+/**
+ * Set the reactivity adapter that `htmlEffect()` uses when none is passed to it.
+ *
+ * @param {ReactivityAdapter} adapter
+ */
+export function setReactivityAdapter(adapter) {
+	defaultReactivityAdapter = adapter
+}
+
+/**
+ * Render a template, and re-render it whenever the reactive dependencies that
+ * `fn` reads change. Re-renders are batched: any number of dependency changes
+ * in the same task result in a single DOM update, in a microtask.
+ *
+ * ```js
+ * setReactivityAdapter(solidAdapter(solid))
+ *
+ * const [count, setCount] = createSignal(0)
+ * const [p] = htmlEffect(() => html`<p>Count: ${count()}</p>`)
+ * ```
+ *
+ * The template instance is rendered with a key that `htmlEffect()` creates,
+ * unless one is given with the `key` option. Disposing the key with
+ * `dispose(key)` stops the effect.
+ *
+ * @param {() => (key: TemplateKey) => TemplateNodes} fn Returns a template
+ * (f.e. `() => html\`...\``), reading reactive dependencies while doing so.
+ * @param {{adapter?: ReactivityAdapter, key?: TemplateKey}} [options]
+ * @returns {TemplateNodes}
+ */
+export function htmlEffect(fn, {adapter = defaultReactivityAdapter, key = Symbol('htmlEffect')} = {}) {
+	if (!adapter)
+		throw new Error(
+			'htmlEffect() requires a reactivity adapter. Pass one with the `adapter` option, or set a default with setReactivityAdapter().',
+		)
+
+	/** @type {TemplateNodes | undefined} */
+	let nodes
+	/** @type {((key: TemplateKey) => TemplateNodes) | undefined} */
+	let pendingTemplate
+	let stopped = false
+
+	const stop = adapter.effect(() => {
+		// Calling fn reads the dependencies, so the adapter tracks them.
+		const template = fn()
+
+		// Render the first time synchronously, so the nodes can be returned.
+		if (!nodes) {
+			nodes = template(key)
+			return
+		}
+
+		const scheduled = !!pendingTemplate
+		pendingTemplate = template
+		if (scheduled) return
+
+		queueMicrotask(() => {
+			const template = /** @type {(key: TemplateKey) => TemplateNodes} */ (pendingTemplate)
+			pendingTemplate = undefined
+			if (!stopped) template(key)
+		})
+	})
+
+	if (!nodes) throw new Error('The reactivity adapter must run the effect synchronously when it is created.')
+
+	onDispose(key, () => {
+		stopped = true
+		stop()
+	})
+
+	return nodes
+}
+
+/**
+ * Create a reactivity adapter for Solid.
+ *
+ * @param {{createRoot: <T>(fn: (dispose: () => void) => T) => T, createEffect: (fn: () => void) => void}} solid
+ * The Solid module (or an object with its `createRoot` and `createEffect` functions).
+ * @returns {ReactivityAdapter}
+ */
+export function solidAdapter({createRoot, createEffect}) {
+	return {
+		effect: fn =>
+			createRoot(dispose => {
+				createEffect(fn)
+				return dispose
+			}),
+	}
+}
+
+/**
+ * Create a reactivity adapter for Preact Signals.
+ *
+ * @param {{effect: (fn: () => void) => () => void}} preactSignals The
+ * `@preact/signals-core` module (or an object with its `effect` function).
+ * @returns {ReactivityAdapter}
+ */
+export function preactAdapter({effect}) {
+	return {effect: fn => effect(fn)}
+}
+
+/**
+ * Create a reactivity adapter for MobX.
+ *
+ * @param {{autorun: (fn: () => void) => () => void}} mobx The MobX module (or
+ * an object with its `autorun` function).
+ * @returns {ReactivityAdapter}
+ */
+export function mobxAdapter({autorun}) {
+	return {effect: fn => autorun(fn)}
+}
+
+/**
+ * Create a reactivity adapter for the TC39 Signals proposal.
+ *
+ * @param {any} [Signal] The `Signal` namespace, defaults to the global `Signal`
+ * (f.e. from a polyfill).
+ * @returns {ReactivityAdapter}
+ */
+export function tc39SignalsAdapter(Signal = /** @type {any} */ (globalThis).Signal) {
+	return {
+		effect(fn) {
+			const computed = new Signal.Computed(fn)
+			const stop = watchTC39Signal(Signal, computed, () => computed.get())
+			computed.get()
+			return stop
+		},
+	}
+}
+
+/**
+ * @param {TemplateMode} mode
+ * @param {TemplateStringsArray} strings
+ * @param {...InterpolationValue} values
+ * @returns {(key: any) => TemplateNodes} A function that accepts a key for
+ * template instance identity, and returns DOM nodes rendered with the given
+ * values.
+ */
+function handleTemplateTag(mode, strings, ...values) {
+	if (values.some(isStaticValue)) ({strings, values} = mergeStaticValues(strings, values))
+
+	// Parsing is deferred until the function is called, so that template
+	// functions can also be rendered to strings where there is no DOM.
+	const templateFn = function (key = Symbol()) {
+		const template = parseTemplate(strings, mode)
+		template.values = values
+		return template.updateInstance(key)
+	}
+
+	templateResults.set(templateFn, {mode, strings, values})
+
+	return templateFn
+}
+
+/**
+ * Template strings with static values merged in, by the original strings and
+ * then by the static values (see getStaticValuesKey()), so that each
+ * combination is parsed and cached as a template of its own.
+ * @type {WeakMap<TemplateStringsArray, Map<string, TemplateStringsArray>>}
+ */
+const staticStringsCache = new WeakMap()
+
+/**
+ * Merged template strings with text from `unsafeStatic()`, which the Trusted
+ * Types policy does not bless.
+ * @type {WeakSet<TemplateStringsArray>}
+ */
+const unsafeStaticTemplateStrings = new WeakSet()
+
+/**
+ * Merge the static values of a template into its strings.
+ * @param {TemplateStringsArray} strings
+ * @param {InterpolationValue[]} values
+ * @returns {{strings: TemplateStringsArray, values: InterpolationValue[]}} The
+ * merged strings, and the remaining values.
+ */
+function mergeStaticValues(strings, values) {
+	let stringsByStatics = staticStringsCache.get(strings)
+	if (!stringsByStatics) staticStringsCache.set(strings, (stringsByStatics = new Map()))
+
+	const key = getStaticValuesKey(values)
+	let mergedStrings = stringsByStatics.get(key)
+
+	if (!mergedStrings) {
+		const merged = [strings[0]]
+		const raw = [strings.raw[0]]
+
+		for (const [i, value] of values.entries()) {
+			if (isStaticValue(value)) {
+				merged[merged.length - 1] += value[STATIC_SYMBOL] + strings[i + 1]
+				raw[raw.length - 1] += value[STATIC_SYMBOL] + strings.raw[i + 1]
+			} else {
+				merged.push(strings[i + 1])
+				raw.push(strings.raw[i + 1])
+			}
+		}
+
+		// Like a real TemplateStringsArray, so that it can be cached and trusted the same way
+		mergedStrings = /** @type {TemplateStringsArray} */ (
+			Object.freeze(Object.assign(merged, {raw: Object.freeze(raw)}))
+		)
+		stringsByStatics.set(key, mergedStrings)
+		if (strictTemplateStrings.has(strings)) strictTemplateStrings.add(mergedStrings)
+		if (values.some(value => isStaticValue(value) && unsafeStaticValues.has(value)))
+			unsafeStaticTemplateStrings.add(mergedStrings)
+	}
+
+	return {strings: mergedStrings, values: values.filter(value => !isStaticValue(value))}
+}
+
+/**
+ * Get a key that identifies the static values of a template, whether they
+ * come from `unsafeStatic()`, and their positions, with `null` in the
+ * positions of other values.
+ * @param {InterpolationValue[]} values
+ * @returns {string}
+ */
+function getStaticValuesKey(values) {
+	return JSON.stringify(
+		values.map(value => (isStaticValue(value) ? [value[STATIC_SYMBOL], unsafeStaticValues.has(value)] : null)),
+	)
+}
+
+/**
+ * The mode, strings, and values of each template function returned by the
+ * template tags, for rendering without a DOM.
+ * @type {WeakMap<Function, TemplateResult>}
+ */
+const templateResults = new WeakMap()
+
+/**
+ * Template cache based on template strings (source location)
+ * @type {WeakMap<TemplateStringsArray, Template>}
+ */
+const templateCache = new WeakMap()
+
+/**
+ * Template instances by key, across all templates, for disposal by key.
+ * @type {WeakMap<TemplateKey, Set<TemplateInstance>>}
+ */
+const keyedInstances = new WeakMap()
+
+/** Unique marker for interpolation sites */
+const INTERPOLATION_MARKER = '⧙⧘'
+
+/** RegExp for the start of an end tag at the end of a template string, where an interpolation would be the tag name */
+const END_TAG_NAME_START_REGEXP = /<\/$/
+
+/** RegExp for a `<` at the end of a template string, where an interpolation may be a start tag name, or text */
+const START_TAG_NAME_START_REGEXP = /<$/
+
+/**
+ * RegExp for the rest of a start tag after its name, at the start of the next
+ * template string: attributes followed by `>` or `/>`, or by the end of the
+ * string (f.e. before an interpolated attribute value). Otherwise, f.e. in
+ * `Price <${max}</p>`, the `<` is text.
+ */
+const START_TAG_REST_REGEXP = /^(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*(?:\/?>|=?\s*$)/
+
+/** The attribute name, followed by the value index, that element bindings are parsed as */
+const ELEMENT_BINDING_ATTRIBUTE = 'element-binding'
+
+/** RegExp for the marker of an element binding, where an attribute name would be */
+const ELEMENT_BINDING_MARKER_REGEXP = new RegExp(`${INTERPOLATION_MARKER}(\\d+)${INTERPOLATION_MARKER}(?=[\\s/>])`, 'y')
+
+/** RegExp for the attribute names of element bindings */
+const ELEMENT_BINDING_ATTRIBUTE_REGEXP = new RegExp(`^${ELEMENT_BINDING_ATTRIBUTE}(\\d+)$`)
+
+/** The error for interpolations in comments, which are not rendered */
+const COMMENT_INTERPOLATION_ERROR =
+	'Interpolations in comments are not supported, f.e. `<!-- ${value} -->`. Remove the comment, or render the value as text.'
+
+/** RegExp for matching interpolation markers */
+const INTERPOLATION_REGEXP = new RegExp(`${INTERPOLATION_MARKER}(\\d+)${INTERPOLATION_MARKER}`)
+
+/** RegExp for an attribute value that is a single interpolation, and nothing else */
+const SINGLE_INTERPOLATION_REGEXP = new RegExp(`^${INTERPOLATION_MARKER}\\d+${INTERPOLATION_MARKER}$`)
+
+/** RegExp for a `<` in text before an interpolation marker, which is escaped so that it is not read as a tag */
+const LESS_THAN_BEFORE_MARKER_REGEXP = new RegExp(`<(?=${INTERPOLATION_MARKER})`, 'g')
+
+/** The prefix of the comments that text sites are anchored on while a template is parsed, f.e. `<!--nh-text⧙⧘0⧙⧘-->` */
+const TEXT_MARKER_COMMENT_PREFIX = 'nh-text'
+
+/** RegExp for the data of a comment that a text site is anchored on, capturing the marker */
+const TEXT_MARKER_COMMENT_REGEXP = new RegExp(
+	`^${TEXT_MARKER_COMMENT_PREFIX}(${INTERPOLATION_MARKER}\\d+${INTERPOLATION_MARKER})$`,
+)
+
+/** The attribute name of spread bindings, f.e. `<input ...=${props} />` */
+const SPREAD_ATTRIBUTE = '...'
+
+/** RegExp for splitting class names into tokens */
+const WHITESPACE_REGEXP = /\s+/
+
+/** RegExp for collapsing runs of whitespace */
+const WHITESPACE_RUN_REGEXP = /\s+/g
+
+/** Attributes and properties (lowercased) whose values are URLs that are navigated to or loaded */
+const URL_SINKS = ['action', 'background', 'cite', 'formaction', 'href', 'poster', 'src', 'xlink:href']
+
+/** Attributes and properties (lowercased) whose values are URLs only on some elements, by element name */
+const ELEMENT_URL_SINKS = new Map([['object', ['data']]])
+
+/** The value that unsafe URLs are replaced with */
+const BLOCKED_URL = 'about:invalid#blocked'
+
+/** RegExp for characters that browsers ignore in URLs: tabs and newlines anywhere, and leading control characters and spaces */
+const URL_IGNORED_CHARACTERS_REGEXP = /[\t\n\r]|^[\u0000-\u0020]+/g
+
+/** RegExp for the scheme of an absolute URL */
+const URL_SCHEME_REGEXP = /^([a-z][a-z0-9+.-]*):/i
+
+/** RegExp for data URLs of images, videos, and audio, which are allowed in any URL sink */
+const SAFE_DATA_URL_REGEXP =
+	/^data:(?:image\/(?:avif|bmp|gif|jpeg|jpg|png|tiff|webp)|video\/(?:mpeg|mp4|ogg|webm|quicktime)|audio\/(?:mp3|oga|ogg|opus|wav|webm));base64,[a-z0-9+\/]+=*$/i
+
+/** RegExp for finding where to put dashes when converting camelCase style properties to dash-case, with vendor prefixes */
+const CAMEL_CASE_REGEXP = /(?:^(webkit|moz|ms|o)|)(?=[A-Z])/g
+
+/** The suffix of style values with important priority */
+const IMPORTANT = '!important'
+
+/** Event listener options that can be given as event modifiers, f.e. `@touchstart.passive` */
+const LISTENER_OPTIONS = /** @type {const} */ (['capture', 'passive', 'once'])
+
+/** RegExp for the global target prefix of event names, f.e. `window:` in `@window:resize` */
+const GLOBAL_EVENT_TARGET_REGEXP = /^(window|document):/
+
+/** All event modifiers except key modifiers */
+const EVENT_MODIFIERS = [...LISTENER_OPTIONS, 'prevent', 'stop', 'self']
+
+/**
+ * Key modifiers for key events, f.e. `@keydown.enter`, mapped to the
+ * `KeyboardEvent.key` values that they match.
+ * @type {Record<string, string[]>}
+ */
+const KEY_MODIFIERS = {
+	enter: ['Enter'],
+	esc: ['Escape'],
+	escape: ['Escape'],
+	space: [' '],
+	tab: ['Tab'],
+	delete: ['Delete', 'Backspace'],
+	up: ['ArrowUp'],
+	down: ['ArrowDown'],
+	left: ['ArrowLeft'],
+	right: ['ArrowRight'],
+}
+
+/**
+ * Events that are handled by a delegated listener when `delegateEvents` is
+ * enabled. These events bubble and are composed. `touchstart` and `touchmove`
+ * are left out because their listeners on the document are passive by default,
+ * so they could not prevent scrolling.
+ */
+const DELEGATED_EVENTS = [
+	'beforeinput',
+	'click',
+	'contextmenu',
+	'dblclick',
+	'focusin',
+	'focusout',
+	'input',
+	'keydown',
+	'keyup',
+	'mousedown',
+	'mousemove',
+	'mouseout',
+	'mouseover',
+	'mouseup',
+	'pointerdown',
+	'pointermove',
+	'pointerout',
+	'pointerover',
+	'pointerup',
+	'touchend',
+]
+
+/** Regex for finding HTML opening/self-closing tags */
+const HTML_TAG_REGEXP = /<[^<>]*?\/?>/g
+
+const ATTRIBUTE_END_REGEXP = /[\s=\/>]/
+
+/** Attribute names with these prefixes are bindings even without interpolations */
+const BINDING_PREFIX_REGEXP = /^[?.@!]/
+
+/** Comment data that marks the start (followed by the value index) and end of text sites in server-rendered HTML */
+const SERVER_TEXT_START = 'nh:'
+const SERVER_TEXT_END = '/nh'
+
+/** Attribute that marks elements with bindings in server-rendered HTML, with the element's ordinal in its template */
+const SERVER_ELEMENT_ATTRIBUTE = 'data-nh'
+
+/** Elements whose content is raw text, in which interpolations render text without markers */
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title']
+
+/**
+ * RegExp for start and end tags (with the tag name, and quoted attribute values
+ * that may contain `>`), comments and other markup declarations, and
+ * interpolation markers (with a `<` before them in text).
+ */
+const TAG_OR_MARKER_REGEXP = new RegExp(
+	`<(/?)([a-zA-Z][^\\s/>]*)(?:"[^"]*"|'[^']*'|[^"'>])*>|<!--[\\s\\S]*?-->|<[!?][^>]*>|<?${INTERPOLATION_MARKER}\\d+${INTERPOLATION_MARKER}`,
+	'g',
+)
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml'
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML'
+
+/** Elements that have no content and no end tag */
+const VOID_ELEMENTS = [
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'param',
+	'source',
+	'track',
+	'wbr',
+]
+
+/** Regexes for tokenizing template HTML without a DOM */
+const NEXT_TAG_REGEXP = /<[a-zA-Z\/!?]/g
+const START_TAG_REGEXP = /<([a-zA-Z][^\s\/>]*)/y
+const START_TAG_END_REGEXP = /\s*(\/?)>/y
+const END_TAG_REGEXP = /<\/([a-zA-Z][^\s\/>]*)[^>]*>/y
+const MARKUP_DECLARATION_REGEXP = /<[!?][^>]*>?/y
+const SERVER_ATTRIBUTE_REGEXP = /\s*([^\s\/>"'=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]*)))?/y
+const RAW_TEXT_END_REGEXP = /<\/(script|style|textarea|title)[\s\/>]/gi
+
+const HTML_ESCAPE_REGEXP = /[&<>"']/g
+const QUOTE_REGEXP = /"/g
+
+/** RegExp for valid attribute names: no controls, whitespace, quotes, `>`, `/`, or `=` */
+const ATTRIBUTE_NAME_REGEXP = /^[^\0-\x20\x7F-\x9F"'>/=]+$/
+const SCRIPT_END_REGEXP = /<\/(script|style)/gi
+
+/** @type {Record<string, string>} */
+const HTML_ESCAPES = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'}
+
+/**
+ * Parse parts array, converting alternating indices to numbers
+ * @param {string[]} parts
+ * @param {boolean} isTopLevel - Whether this text node is at the top level of the template
+ * @returns {(string|number)[]}
+ */
+function parseInterpolationParts(parts, isTopLevel = false) {
+	let mapped = parts.map((part, i) => (i % 2 === 1 ? parseInt(part) : part))
+
+	// For top-level text nodes, filter out whitespace-only string parts
+	// For text nodes inside elements, preserve all parts including whitespace
+	if (isTopLevel) mapped = mapped.filter(part => typeof part === 'number' || part.trim() !== '')
+
+	return mapped
+}
+
+/**
+ * Join template strings with interpolation markers in place of the values.
+ * @param {TemplateStringsArray} strings
+ * @returns {string}
+ */
+function joinStringsWithMarkers(strings) {
+	for (let i = 0; i < strings.length - 1; i++)
+		if (
+			END_TAG_NAME_START_REGEXP.test(strings[i]) ||
+			(START_TAG_NAME_START_REGEXP.test(strings[i]) && START_TAG_REST_REGEXP.test(strings[i + 1]))
+		)
+			throw new Error(
+				'Tag names can not be interpolated. Use a static value instead, f.e. <${literal`h1`}> or <${unsafeStatic(tagName)}>.',
+			)
+
+	return strings.reduce(
+		(acc, str, i) => acc + str + (i < strings.length - 1 ? `${INTERPOLATION_MARKER}${i}${INTERPOLATION_MARKER}` : ''),
+		'',
+	)
+}
+
+/**
+ * Check if an attribute is a binding, rather than a plain static attribute.
+ * Bindings have interpolated values, or special prefixes (f.e. `.prop`,
+ * `@event`, `?bool`, `!attr`).
+ * @param {string} name
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isBindingAttribute(name, value) {
+	return value.includes(INTERPOLATION_MARKER) || name.includes(INTERPOLATION_MARKER) || BINDING_PREFIX_REGEXP.test(name)
+}
+
+/**
+ * Join parts with value substitution
+ * @param {(string|number)[]} parts
+ * @param {InterpolationValue[]} values
+ * @returns {string}
+ */
+function joinPartsWithValues(parts, values) {
+	return parts
+		.map((/** @type {string|number} */ part) => (typeof part === 'number' ? String(values[part] ?? '') : part))
+		.join('')
+}
+
+/**
+ * Wrap the markers of text sites in comments. Unlike text, which the HTML
+ * parser moves out of tables and drops from selects, for example, comments are
+ * kept in place anywhere. Markers in tags and comments, and in raw text
+ * elements (where comments would be text), are left as is. A `<` before a
+ * marker in text is escaped, so that the parser does not read it as the start
+ * of a tag.
+ * @param {string} html
+ * @returns {string}
+ */
+function wrapTextMarkersInComments(html) {
+	let rawTextElement = ''
+
+	return html.replace(TAG_OR_MARKER_REGEXP, (match, slash, tagName) => {
+		if (tagName) {
+			const name = tagName.toLowerCase()
+			if (!rawTextElement && !slash && RAW_TEXT_ELEMENTS.includes(name)) rawTextElement = name
+			else if (slash && name === rawTextElement) rawTextElement = ''
+			return match
+		}
+
+		if (rawTextElement || match.startsWith('<!') || match.startsWith('<?')) return match
+		if (match.startsWith('<')) return `&lt;<!--${TEXT_MARKER_COMMENT_PREFIX}${match.slice(1)}-->`
+		return `<!--${TEXT_MARKER_COMMENT_PREFIX}${match}-->`
+	})
+}
+
+/**
+ * Replace the comments that mark text sites with text nodes containing the
+ * markers, once the parser has put them in place. Text nodes can be anywhere
+ * in the DOM, only the parser moves them. Comments written in the template are
+ * left as is.
+ * @param {DocumentFragment} fragment
+ */
+function unwrapTextMarkerComments(fragment) {
+	const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_COMMENT, null)
+	/** @type {[comment: ChildNode, marker: string][]} */
+	const comments = []
+
+	let comment
+	while ((comment = walker.nextNode())) {
+		const match = TEXT_MARKER_COMMENT_REGEXP.exec(comment.textContent || '')
+		if (match) comments.push([/** @type {Comment} */ (comment), match[1]])
+	}
+
+	for (const [comment, marker] of comments) comment.replaceWith(new Text(marker))
+}
+
+/**
+ * Split text nodes containing interpolation markers into separate text nodes.
+ * This is done once during template creation.
+ * @param {DocumentFragment} fragment
+ */
+function splitTextNodesWithInterpolation(fragment) {
+	const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_TEXT, null)
+	let textNode = /** @type {Text | null} */ (walker.nextNode())
+
+	while (textNode) {
+		// Collect the next node first, so we don't break iteration when replacing the current node.
+		const nextNode = /** @type {Text | null} */ (walker.nextNode())
+		const textContent = textNode.textContent || ''
+
+		// Split each text node with an interpolation
+		if (textContent.includes(INTERPOLATION_MARKER)) {
+			// Check if this text node is a direct child of the template fragment (top level)
+			const isTopLevel = textNode.parentNode === fragment
+			const parts = textContent.split(INTERPOLATION_REGEXP)
+			const parsedParts = parseInterpolationParts(parts, isTopLevel).filter(part => part !== '')
+
+			// Only split if we have more than one part (static text + interpolations)
+			if (parsedParts.length > 1) {
+				const newTextNodes = parsedParts.map(
+					part => new Text(typeof part === 'number' ? `${INTERPOLATION_MARKER}${part}${INTERPOLATION_MARKER}` : part),
+				)
+
+				// Replace the original text node with the split text nodes
+				// (static, interpolated, static, interpolated, etc)
+				textNode.replaceWith(...newTextNodes)
+			}
+		}
+
+		textNode = nextNode
+	}
+}
+
+class Template {
+	/** @type {WeakMap<TemplateKey, TemplateInstance>} */
+	instances = new WeakMap()
+	el = document.createElement('template')
+	caseMappings = new Map()
+	strings
+
+	/**
+	 * @param {TemplateMode} mode
+	 * @param {TemplateStringsArray} strings
+	 */
+	constructor(strings, mode) {
+		this.strings = strings
+		let htmlString = joinStringsWithMarkers(strings)
+
+		// Wrap content in appropriate root elements for SVG and MathML modes
+		// so that the HTML parser creates elements with correct namespaces
+		if (mode === 'svg') htmlString = `<svg>${htmlString}</svg>`
+		else if (mode === 'mathml') htmlString = `<math>${htmlString}</math>`
+
+		const {caseMappings, el} = this
+
+		// Preprocessing for case sensitivity: map .someProp to .someprop and remember the original
+		let counter = 0
+
+		// How the case-preserved${count} works:
+		// 1. We replace all .someProp, .otherProp, etc with .case-preserved0,
+		//    .case-preserved1, etc and store the mapping from .case-preserved0 ->
+		//    someProp, .case-preserved1 -> otherProp, etc in caseMappings.
+		// 2. Later, when processing the attributes, we can look up the original
+		//    case-sensitive property name using the placeholder.
+		// 3. This allows us to avoid issues with HTML attribute names being
+		//    case-insensitive, while still preserving the original case for JS
+		//    property names so we can set them correctly on the elements.
+
+		// Scan for HTML tags and process .property attributes within each tag
+		htmlString = htmlString.replace(HTML_TAG_REGEXP, tagMatch => {
+			// Comments and doctypes have no attributes
+			if (tagMatch.startsWith('<!')) return tagMatch
+
+			// Parse the tag content more carefully to avoid matching dots inside quoted attribute values
+			const parts = []
+			let lastIndex = 0
+			let inQuotes = false
+			let quoteChar = ''
+			let i = 0
+
+			while (i < tagMatch.length) {
+				const char = tagMatch[i]
+
+				if (!inQuotes && (char === '"' || char === "'")) {
+					inQuotes = true
+					quoteChar = char
+				} else if (inQuotes && char === quoteChar) {
+					inQuotes = false
+					quoteChar = ''
+				} else if (!inQuotes && i > 0 && /\s/.test(tagMatch[i - 1])) {
+					// An interpolation in place of an attribute is an element binding, f.e. `<div ${behavior}>`.
+					// Its marker is replaced with a plain attribute name, which any parser keeps as is.
+					const elementBinding = execAt(ELEMENT_BINDING_MARKER_REGEXP, tagMatch, i)
+					if (elementBinding) {
+						parts.push(tagMatch.slice(lastIndex, i), ELEMENT_BINDING_ATTRIBUTE + elementBinding[1])
+						lastIndex = i += elementBinding[0].length
+						continue
+					}
+
+					// Detect attribute patterns when preceded by whitespace and not in quotes
+					let prefix = null
+
+					// Detect different attribute patterns
+					if ((char === '.' || char === '@') && !tagMatch.startsWith(SPREAD_ATTRIBUTE, i)) {
+						// Case 1: .prop or @event (case-sensitive attributes)
+						prefix = char
+					} else if (char === '!' && i + 1 < tagMatch.length) {
+						const nextChar = tagMatch[i + 1]
+						// Case 2: !@event (forced case-sensitive event attributes)
+						if (nextChar === '.') prefix = '!.'
+						// Case 3: !.prop (forced case-sensitive property attributes)
+						if (nextChar === '@') prefix = '!@'
+						// Case 4: !?attr (forced boolean attributes, no special handling needed)
+						else if (nextChar === '?') prefix = null
+						// Case 5: !attr (forced regular attributes, no special handling needed)
+						else if (/[a-zA-Z]/.test(nextChar)) prefix = null
+					}
+
+					// Process case-sensitive attributes
+					if (prefix) {
+						const startIndex = i
+						const attrStartIndex = startIndex + prefix.length
+						let attrEnd = attrStartIndex
+
+						while (attrEnd < tagMatch.length && !ATTRIBUTE_END_REGEXP.test(tagMatch[attrEnd])) attrEnd++
+
+						if (attrEnd > attrStartIndex) {
+							// Extract the attribute name
+							const attrName = tagMatch.slice(attrStartIndex, attrEnd)
+							let placeholder
+
+							// Properties and events use case-preserved placeholders
+							placeholder = `${prefix}case-preserved${counter}`
+							const hasForce = prefix.startsWith('!')
+							caseMappings.set(placeholder.slice(hasForce ? 2 : 1), attrName)
+
+							counter++
+
+							// Add the part before this replacement
+							parts.push(tagMatch.slice(lastIndex, startIndex))
+							parts.push(placeholder) // Add the placeholder (skip ! for case-sensitive attributes)
+							lastIndex = attrEnd // Update tracking
+							i = attrEnd - 1 // -1 because the loop will increment
+						}
+					}
+				}
+				i++
+			}
+
+			parts.push(tagMatch.slice(lastIndex)) // Add the remaining part
+
+			return parts.join('')
+		})
+
+		htmlString = wrapTextMarkersInComments(htmlString)
+
+		// Use the standard HTML parser to parse the string into a template document
+		el.innerHTML = trustTemplateMarkup(htmlString, strings)
+
+		// For SVG and MathML templates, unwrap the content from the wrapper
+		// element that was added during parsing, and remove the wrapper, to
+		// ensure proper namespace handling.
+		if (mode === 'svg' || mode === 'mathml') {
+			const wrapperElement = /** @type {Element} */ (el.content.firstElementChild)
+			wrapperElement.replaceWith(...wrapperElement.childNodes)
+		}
+
+		// Pre-split text nodes that contain interpolation markers
+		// This is done once during template creation for better performance
+		unwrapTextMarkerComments(el.content)
+		splitTextNodesWithInterpolation(el.content)
+
+		// Remove empty whitespace-only text nodes, from the top level of the
+		// template only, for the convenience of being able to easily get references
+		// to top level nodes. This allows usage like the following for a single top
+		// level element:
+		//
+		// ```js
+		// const div = html`
+		//   <div>
+		//     ...
+		//   </div>
+		// `()
+		// ```
+		//
+		// Text nodes that are not direct children of the template (f.e. inside
+		// elements) are not removed, to preserve whitespace where it may be
+		// significant.
+		//
+		// This only removes text nodes that are entirely static whitespace. Text
+		// nodes that contain interpolation markers, or non-whitespace content, are
+		// preserved. This allows getting access to top level text nodes that may
+		// contain important content. For example:
+		//
+		// ```js
+		// const nodes = html`
+		//   ${someDynamicContent}
+		//   <div>...</div>
+		// `()
+		// const textNode = nodes[0]; // Access the dynamic text node
+		// const div = nodes[1]; // Access the div element
+		// ```
+		//
+		// If you need whitespace to be preserved, consider using explicit markers
+		// like `${' '}` for spaces at the top level, or wrapping text in elements.
+		// For example:
+		//
+		// ```js
+		// const nodes = html`
+		//   <pre>
+		//     All text inside elements is preserved, including whitespace.
+		//     ${someDynamicContent}
+		//   </pre>
+		//   ${' '/* this explicit whitespace is preserved */}
+		//   <span>...</span>
+		//   This text node without whitespace is also preserved.
+		// `()
+		//
+		// const pre = nodes[0];
+		// const textNode = nodes[1]; // This is the explicit whitespace text node
+		// const span = nodes[2];
+		// const textNode2 = nodes[3]; // This is the static text node
+		// ```
+		//
+		// This makes accessing top level nodes easy, based on the visual structure
+		// of the template.
+		for (const node of el.content.childNodes) {
+			if (node.nodeType !== Node.TEXT_NODE) continue
+			if (!(node.textContent || '').includes(INTERPOLATION_MARKER) && (node.textContent || '').trim() === '')
+				node.remove()
+		}
+	}
+
+	/**
+	 * @param {TemplateKey} key The key for the template instance
+	 * @returns {TemplateInstance}
+	 */
+	getInstance(key) {
+		let templateInstance = this.instances.get(key)
+
+		// Create a new instance if not cached yet
+		if (!templateInstance) {
+			// While hydrating, adopt the server-rendered nodes if they match this template.
+			const adopted = hydratingNodes && adoptServerNodes(this, hydratingNodes)
+			let nodes, sites
+
+			if (adopted) ({nodes, sites} = adopted)
+			else {
+				// Create a new template instance.
+				// We're using importNode instead of cloneNode to ensure that custom
+				// elements are properly upgraded immediately when cloned, to avoid
+				// users facing issues with un-upgraded elements in templates prior
+				// to users connecting the elements to the DOM (issues like a
+				// template .prop= expression setting a property before the element
+				// is upgraded, shadowing getters/setters and breaking reactivity,
+				// causing confusion and frustration).
+				const fragment = document.importNode(this.el.content, true) // deep clone
+
+				sites = findInterpolationSites(fragment, this.caseMappings)
+				nodes = /** @type {TemplateNodes} */ (Object.freeze(Array.from(fragment.childNodes)))
+			}
+
+			// Event handlers name their template in errors
+			for (const site of sites) if (site.type === 'event' || site.type === 'spread') site.templateStrings = this.strings
+
+			templateInstance = new TemplateInstance(nodes, sites, this, key)
+			templateInstance.hydrating = !!adopted
+
+			this.instances.set(key, templateInstance)
+
+			let instances = keyedInstances.get(key)
+			if (!instances) keyedInstances.set(key, (instances = new Set()))
+			instances.add(templateInstance)
+		}
+
+		return templateInstance
+	}
+
+	/** @type {InterpolationValue[]} */
+	values = []
+
+	/**
+	 * Update instance with new values. This gets returned by the `html`
+	 * function for users to call with their keys.
+	 *
+	 * @param {TemplateKey=} key
+	 */
+	updateInstance = (key = Symbol()) => {
+		const templateInstance = this.getInstance(key)
+		templateInstance.applyValues(this.values)
+		return templateInstance.nodes
+	}
+}
+
+/**
+ * Create a Template containing a `<template>` with the DOM representation of
+ * the HTML for cloning into "template instances", and other data, associated
+ * with the given template strings.
+ *
+ * @param {TemplateMode} mode
+ * @param {TemplateStringsArray} strings
+ *
+ * @returns {Template} The Template instance contains a `<template>` element
+ * with the DOM representation of the HTML, with interpolation markers in place,
+ * to be cloned when we create any "instance" of the template.
+ */
+function parseTemplate(strings, mode) {
+	let template = templateCache.get(strings)
+	if (!template) templateCache.set(strings, (template = new Template(strings, mode)))
+	return template
+}
+
+/**
+ * Find interpolation sites in template
+ * @param {DocumentFragment} fragment
+ * @param {Map<string, string>} caseMappings
+ * @returns {InterpolationSite[]}
+ */
+function findInterpolationSites(fragment, caseMappings) {
+	/** @type {InterpolationSite[]} */
+	const sites = []
+	const walker = document.createTreeWalker(
+		fragment,
+		NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT,
+		null,
+	)
+
+	let node
+	while ((node = walker.nextNode())) {
+		if (node.nodeType === Node.COMMENT_NODE) {
+			if ((node.textContent || '').includes(INTERPOLATION_MARKER)) throw new Error(COMMENT_INTERPOLATION_ERROR)
+		} else if (node.nodeType === Node.TEXT_NODE) {
+			const textNode = /** @type {Text} */ (node)
+			const textContent = textNode.textContent || ''
+			if (textContent.includes(INTERPOLATION_MARKER)) {
+				// Since text nodes are now pre-split, each text node should contain exactly one interpolation marker
+				// Extract the interpolation index from the marker
+				const match = textContent.match(INTERPOLATION_REGEXP)
+				if (match) {
+					const interpolationIndex = parseInt(match[1])
+					textNode.textContent = '' // Clear the text node content; it will be filled during interpolation
+					sites.push({node: textNode, type: /** @type {'text'} */ ('text'), interpolationIndex})
+				}
+			}
+		} else if (node.nodeType === Node.ELEMENT_NODE) {
+			const element = /** @type {Element} */ (node)
+
+			// A list of placeholder attributes to remove after finding
+			// interpolation sites (f.e. !foo="" is removed, as it will be set
+			// dynamically later)
+			const attributesToRemove = []
+
+			for (const attr of element.attributes) {
+				const name = attr.name
+				const value = attr.value
+
+				// An element binding receives the element itself, f.e. `<div ${behavior}>`.
+				const elementBinding = name.match(ELEMENT_BINDING_ATTRIBUTE_REGEXP)
+				if (elementBinding && !value) {
+					sites.push({node: element, type: 'element', parts: ['', parseInt(elementBinding[1]), '']})
+					attributesToRemove.push(name)
+				} else if (elementBinding || name.includes(INTERPOLATION_MARKER))
+					throw new Error(
+						'An element binding must be a single interpolated value in place of an attribute, f.e. `<div ${behavior}>`.',
+					)
+				// A ref binding receives the element itself.
+				else if (name === 'ref' && SINGLE_INTERPOLATION_REGEXP.test(value)) {
+					const parts = parseInterpolationParts(value.split(INTERPOLATION_REGEXP), false)
+					sites.push({node: element, type: 'ref', attributeName: name, parts})
+					attributesToRemove.push(name)
+				}
+
+				// A spread binding sets any number of attributes, properties, and events.
+				else if (name === SPREAD_ATTRIBUTE) {
+					if (!SINGLE_INTERPOLATION_REGEXP.test(value))
+						throw new Error('A spread binding must have a single interpolated value, f.e. `...=${props}`.')
+					const parts = parseInterpolationParts(value.split(INTERPOLATION_REGEXP), false)
+					sites.push({node: element, type: 'spread', attributeName: name, parts, spreadSites: new Map()})
+					attributesToRemove.push(name)
+				}
+
+				// Handle both interpolated and static special attributes, plus regular attributes marked with !
+				else if (isBindingAttribute(name, value)) {
+					const isStatic = !value.includes(INTERPOLATION_MARKER)
+
+					let parsedParts
+					if (isStatic) parsedParts = [value]
+					// Parse attribute value parts (for interpolated content)
+					else parsedParts = parseInterpolationParts(value.split(INTERPOLATION_REGEXP), false)
+
+					// Determine attribute type and restore case for JS properties
+					const {type, attributeName, skipEqualityCheck} = parseBindingName(name)
+					let processedName = attributeName // The name without special prefixes
+
+					if (type === 'property' || type === 'event') processedName = caseMappings.get(attributeName) || attributeName
+
+					// Ensure static forced attributes are set initially. Basically !foo="bar" acts like foo="bar".
+					if (type === 'attribute' && isStatic && skipEqualityCheck) element.setAttribute(processedName, value)
+
+					/** @type {InterpolationSite} */
+					const site = {node: element, type, attributeName: processedName, parts: parsedParts, skipEqualityCheck}
+
+					if (type === 'event') parseEventName(site)
+
+					sites.push(site)
+
+					// Remove the template attribute, it will be set dynamically later
+					attributesToRemove.push(name)
+				}
+			}
+
+			for (const name of attributesToRemove) element.removeAttribute(name)
+		}
+	}
+
+	return sites
+}
+
+/**
+ * Get the site type and name of an attribute binding from its attribute name,
+ * f.e. `?disabled` is a boolean attribute named `disabled`, and `!.value` is a
+ * property named `value` that skips equality checks.
+ * @param {string} name
+ * @returns {{type: 'attribute'|'boolean-attribute'|'property'|'event', attributeName: string, skipEqualityCheck: boolean}}
+ */
+function parseBindingName(name) {
+	const skipEqualityCheck = name.startsWith('!')
+	const prefixedName = skipEqualityCheck ? name.slice(1) : name // Extract name after ! if present
+
+	if (prefixedName.startsWith('?'))
+		return {type: 'boolean-attribute', attributeName: prefixedName.slice(1), skipEqualityCheck}
+	if (prefixedName.startsWith('.')) return {type: 'property', attributeName: prefixedName.slice(1), skipEqualityCheck}
+	if (prefixedName.startsWith('@')) return {type: 'event', attributeName: prefixedName.slice(1), skipEqualityCheck}
+	return {type: 'attribute', attributeName: prefixedName, skipEqualityCheck}
+}
+
+/**
+ * Split the global target off of the start of an event site's event name, and
+ * the modifiers off of the end, f.e. `window:keydown.enter.prevent` listens to
+ * `keydown` events on `window` with the `enter` and `prevent` modifiers. Key
+ * modifiers are only recognized for key events.
+ * @param {InterpolationSite} site
+ */
+function parseEventName(site) {
+	const targetMatch = (site.attributeName || '').match(GLOBAL_EVENT_TARGET_REGEXP)
+
+	if (targetMatch) {
+		site.eventTargetName = /** @type {'window' | 'document'} */ (targetMatch[1])
+		site.attributeName = (site.attributeName || '').slice(targetMatch[0].length)
+	}
+
+	const segments = (site.attributeName || '').split('.')
+	const isKeyEvent = segments[0].startsWith('key')
+
+	/** @type {Set<string>} */
+	const modifiers = new Set()
+
+	while (segments.length > 1) {
+		const modifier = segments[segments.length - 1]
+		if (!EVENT_MODIFIERS.includes(modifier) && !(isKeyEvent && Object.hasOwn(KEY_MODIFIERS, modifier))) break
+		modifiers.add(modifier)
+		segments.pop()
+	}
+
+	if (!modifiers.size) return
+
+	site.attributeName = segments.join('.')
+	site.eventModifiers = modifiers
+}
+
+/**
+ * Get the object that an event site adds its listener to: its element, or a
+ * global target such as `window` for `@window:resize`.
+ * @param {InterpolationSite} site
+ * @returns {EventTarget}
+ */
+function getEventTarget(site) {
+	if (site.eventTargetName === 'window') return window
+	if (site.eventTargetName === 'document') return document
+	return site.node
+}
+
+/**
+ * Check if two arrays are equal
+ * @param {any[]} a
+ * @param {any[]} b
+ * @returns {boolean}
+ */
+function arrayEquals(a, b) {
+	if (!Array.isArray(a) || !Array.isArray(b)) return false
+	if (a.length !== b.length) return false
+	for (let i = 0, l = a.length; i < l; i++) if (a[i] !== b[i]) return false
+	return true
+}
+
+/**
+ * Cache for generating stable keys for nested template functions
+ * Maps interpolation site -> array of stable keys for each index
+ * @type {WeakMap<InterpolationSite, symbol[]>}
+ */
+const siteIndexKeys = new WeakMap()
+
+/**
+ * Get a stable unique key for a template function at a specific site and index
+ * @param {InterpolationSite} site
+ * @param {number} index
+ * @returns {symbol}
+ */
+function getStableNestedKey(site, index) {
+	let indexKeys = siteIndexKeys.get(site)
+	if (!indexKeys) siteIndexKeys.set(site, (indexKeys = []))
+	let key = indexKeys[index]
+	if (!key) indexKeys[index] = key = Symbol('nested-template-key' + index)
+	return key
+}
+
+function interpolateTextSite(/** @type {InterpolationSite} */ site, /** @type {InterpolationValue} */ value) {
+	// Handle force detection and unwrapping
+	const unwrappedValue = handleForceValue(site, value)
+
+	if (!site.skipEqualityCheck && site.lastValue === unwrappedValue) return // No change
+	site.lastValue = unwrappedValue
+
+	if (!isRepeat(unwrappedValue) && site.repeatKeys) {
+		for (const key of site.repeatKeys.values()) dispose(key)
+		site.repeatKeys = undefined
+	}
+
+	// Handle simple text cases first (most common case)
+	if (
+		!(unwrappedValue instanceof Node) &&
+		!Array.isArray(unwrappedValue) &&
+		typeof unwrappedValue !== 'function' &&
+		!isRepeat(unwrappedValue)
+	) {
+		// Simple text content, just set textContent
+		clearPreviousNodes(site)
+		site.node.textContent = String(unwrappedValue ?? '')
+		site.insertedNodes = undefined
+	} else {
+		// Handle complex cases that produce DOM nodes
+		let nodes
+		if (isRepeat(unwrappedValue)) nodes = getRepeatNodes(site, unwrappedValue[REPEAT_SYMBOL])
+		else {
+			// Convert single values to arrays for uniform processing
+			const itemsToProcess = Array.isArray(unwrappedValue) ? unwrappedValue : [unwrappedValue]
+
+			// Each interpolation site gets its own unique identity for nested template functions.
+			// We generate a stable key combining the site identity with the array index to ensure
+			// template functions at the same site but different positions don't share cache entries,
+			// even when using the same mapper function (e.g., html`<ul>${items.map(itemMapper)}</ul>`).
+			nodes = itemsToNodes(itemsToProcess, index => getStableNestedKey(site, index))
+		}
+
+		if (!site.skipEqualityCheck && site.insertedNodes && arrayEquals(site.insertedNodes, nodes)) return // No change
+		insertNodesAndUpdateSite(site, nodes)
+	}
+}
+
+/**
+ * Convert the items of a text interpolation into the DOM nodes they render.
+ * @param {InterpolationValue[]} items
+ * @param {(index: number) => TemplateKey} getKey Returns the key to render a
+ * nested template function at the given index with.
+ * @returns {(Element | Text)[]}
+ */
+function itemsToNodes(items, getKey) {
+	return /** @type {(Element | Text)[]} */ (
+		items
+			.flatMap((item, index) => {
+				// Handle template functions - call them to get their nodes
+				if (typeof item === 'function') return item(getKey(index))
+				// Handle arrays (already processed template results)
+				// Flatten one level because html functions return arrays
+				if (Array.isArray(item)) return item.flat(1)
+				// Handle single nodes or primitive values
+				return [item]
+			})
+			.map(item => {
+				if (item instanceof Node) return /** @type {Element | Text} */ (item)
+				if (item != null && item !== '') return new Text(String(item))
+				return null
+			})
+			.filter(Boolean)
+	)
+}
+
+/**
+ * Render the items of a repeat() value, re-using the nested template instance
+ * of each item by the item's key.
+ * @param {InterpolationSite} site
+ * @param {RepeatOptions} options
+ * @returns {(Element | Text)[]}
+ */
+function getRepeatNodes(site, {items, keyFn, templateFn}) {
+	const previousKeys = site.repeatKeys
+	/** @type {Map<unknown, symbol>} */
+	const keys = new Map()
+	const results = []
+	/** @type {symbol[]} */
+	const nestedKeys = []
+	let index = 0
+
+	for (const item of items) {
+		const itemKey = keyFn(item, index)
+		if (keys.has(itemKey))
+			throw new Error(`Duplicate key in repeat(): ${String(itemKey)}. Each item must have a unique key.`)
+
+		const nestedKey = previousKeys?.get(itemKey) ?? Symbol('repeat-item-key')
+		keys.set(itemKey, nestedKey)
+		nestedKeys.push(nestedKey)
+		results.push(templateFn(item, index))
+		index++
+	}
+
+	// Items that were removed will not come back with the same instance
+	for (const [itemKey, nestedKey] of previousKeys ?? []) if (!keys.has(itemKey)) dispose(nestedKey)
+
+	site.repeatKeys = keys
+	return itemsToNodes(results, index => nestedKeys[index])
+}
+
+/**
+ * Find the longest increasing subsequence of the given sequence, ignoring
+ * negative entries.
+ * @param {number[]} sequence
+ * @returns {Set<number>} The indices (into `sequence`) of the subsequence's items.
+ */
+function longestIncreasingSubsequence(sequence) {
+	/** Indices of the smallest tail item of each subsequence length found so far. */
+	const tails = []
+	/** For each index, the index of the previous item in its subsequence. */
+	const previous = new Array(sequence.length).fill(-1)
+
+	for (let i = 0; i < sequence.length; i++) {
+		const value = sequence[i]
+		if (value < 0) continue
+
+		// Binary search for the first tail that is not less than value
+		let low = 0
+		let high = tails.length
+		while (low < high) {
+			const middle = Math.floor((low + high) / 2)
+			if (sequence[tails[middle]] < value) low = middle + 1
+			else high = middle
+		}
+
+		if (low > 0) previous[i] = tails[low - 1]
+		tails[low] = i
+	}
+
+	const result = new Set()
+	let index = tails.length > 0 ? tails[tails.length - 1] : -1
+	while (index >= 0) {
+		result.add(index)
+		index = previous[index]
+	}
+
+	return result
+}
+
+/**
+ * Helper function to insert nodes and update site state. Nodes that were
+ * already inserted at the site are kept in place when possible, so that only
+ * new nodes are inserted, and the minimal number of existing nodes are moved.
+ * @param {InterpolationSite} site
+ * @param {(Element | Text)[]} nodes
+ */
+function insertNodesAndUpdateSite(site, nodes) {
+	const previousNodes = site.insertedNodes ?? []
+	const nodesToKeep = new Set(nodes)
+
+	// Remove nodes that are no longer rendered at this site
+	for (const node of previousNodes) if (!nodesToKeep.has(node)) node.remove()
+
+	// Map each kept node to its previous position, then find the largest set of
+	// kept nodes that are already in the correct relative order. Those stay in
+	// place, and all other nodes are inserted or moved around them.
+	/** @type {Map<Node, number>} */
+	const previousIndices = new Map()
+	for (const node of previousNodes) if (nodesToKeep.has(node)) previousIndices.set(node, previousIndices.size)
+	const stableIndices = longestIncreasingSubsequence(nodes.map(node => previousIndices.get(node) ?? -1))
+
+	// Insert nodes back to front, each one before the node that follows it
+	let nextNode = /** @type {Node} */ (site.node)
+	for (let i = nodes.length - 1; i >= 0; i--) {
+		const node = nodes[i]
+		if (!stableIndices.has(i)) site.node.parentNode?.insertBefore(node, nextNode)
+		nextNode = node
+	}
+
+	site.node.textContent = '' // Hide the text node
+	site.insertedNodes = nodes.length > 0 ? [...nodes] : undefined
+}
+
+/**
+ * Insert nodes after the nodes that were already inserted at a text site,
+ * without reconciling the nodes that are already there.
+ * @param {InterpolationSite} site
+ * @param {(Element | Text)[]} nodes
+ */
+function appendNodesToSite(site, nodes) {
+	for (const node of nodes) site.node.parentNode?.insertBefore(node, site.node)
+
+	if (site.insertedNodes) site.insertedNodes.push(...nodes)
+	else if (nodes.length > 0) site.insertedNodes = [...nodes]
+	site.node.textContent = '' // Hide the text node
+}
+
+/**
+ * Remove the internal event listener of an event site, if any.
+ * @param {InterpolationSite} site
+ */
+function removeEventHandler(site) {
+	if (!site.internalHandler) return
+	if (site.delegated) removeDelegatedSite(site)
+	else getEventTarget(site).removeEventListener(site.attributeName || '', site.internalHandler, site.listenerOptions)
+	site.internalHandler = undefined
+	site.delegated = undefined
+	site.listenerOptions = undefined
+	site.currentEventListener = undefined
+}
+
+/**
+ * Dispose the nested template instances that were rendered at a text site.
+ * @param {InterpolationSite} site
+ */
+function disposeNestedInstances(site) {
+	for (const key of siteIndexKeys.get(site) ?? []) dispose(key)
+	siteIndexKeys.delete(site)
+
+	for (const key of site.repeatKeys?.values() ?? []) dispose(key)
+	site.repeatKeys = undefined
+}
+
+/**
+ * Release everything a site holds on to when its template instance is disposed.
+ * @param {InterpolationSite} site
+ */
+function disposeSite(site) {
+	if (site.directive) disconnectDirective(site)
+	if (site.type === 'event') removeEventHandler(site)
+	else if (site.type === 'text') disposeNestedInstances(site)
+	else if (site.type === 'ref') setRef(site.lastValue, null)
+	else if (site.type === 'element') cleanUpElementSite(site)
+	else if (site.type === 'spread') for (const spreadSite of site.spreadSites?.values() ?? []) disposeSite(spreadSite)
+}
+
+/**
+ * Helper function to clear previously inserted nodes
+ * @param {InterpolationSite} site
+ */
+function clearPreviousNodes(site) {
+	if (site.insertedNodes) for (const node of site.insertedNodes) node.remove()
+}
+
+/**
+ * The site of each part, for built-in directives that update their site
+ * directly.
+ * @type {WeakMap<Part, InterpolationSite>}
+ */
+const partSites = new WeakMap()
+
+/**
+ * Describes the interpolation site that a directive controls, and lets the
+ * directive render values into it.
+ */
+export class Part {
+	#site
+
+	/**
+	 * The value that was most recently rendered into the site by the directive.
+	 * @type {InterpolationValue}
+	 */
+	value = undefined
+
+	/** @param {InterpolationSite} site */
+	constructor(site) {
+		this.#site = site
+		partSites.set(this, site)
+	}
+
+	/**
+	 * The node of the site: the element of attribute, property, event, and
+	 * element sites, or the text node that text sites render before.
+	 */
+	get node() {
+		return this.#site.node
+	}
+
+	/** The type of the site. */
+	get type() {
+		return this.#site.type
+	}
+
+	/** The attribute, property, or event name of the site (not defined for text sites). */
+	get attributeName() {
+		return this.#site.attributeName
+	}
+
+	/** Whether the directive still controls the site. */
+	get isConnected() {
+		return this.#site.part === this
+	}
+
+	/**
+	 * Render a value into the site. This does nothing once the directive has
+	 * been disconnected from the site.
+	 * @param {InterpolationValue} value
+	 */
+	setValue(value) {
+		if (!this.isConnected) return
+		renderSiteValue(this.#site, value)
+		this.value = value
+	}
+}
+
+/**
+ * Let a directive update a site, creating the directive if the site does not
+ * have one of the same class yet.
+ * @param {InterpolationSite} site
+ * @param {DirectiveResult} result
+ */
+function applyDirective(site, result) {
+	const {DirectiveClass, values} = result[DIRECTIVE_SYMBOL]
+
+	if (site.directive?.constructor !== DirectiveClass) {
+		if (site.directive) disconnectDirective(site)
+		site.part = new Part(site)
+		site.directive = new DirectiveClass(site.part)
+	}
+
+	const part = /** @type {Part} */ (site.part)
+	const value = site.directive.update(part, values)
+	if (value !== noChange) part.setValue(value)
+}
+
+/**
+ * Disconnect the directive of a site, if any.
+ * @param {InterpolationSite} site
+ */
+function disconnectDirective(site) {
+	const {directive} = site
+	site.directive = undefined
+	site.part = undefined
+	directive?.disconnect?.()
+}
+
+/**
+ * Get the index of the value of a site that has a single interpolated value,
+ * f.e. `${...}` in text, or `attr=${...}`, but not `attr="foo ${...}"`.
+ * @param {InterpolationSite} site
+ * @returns {number | undefined}
+ */
+function getSingleValueIndex(site) {
+	if (site.type === 'text') return site.interpolationIndex
+	const parts = site.parts || []
+	// Pure interpolation - pattern is ['', number, '']
+	if (parts.length === 3 && parts[0] === '' && parts[2] === '' && typeof parts[1] === 'number') return parts[1]
+	return undefined
+}
+
+/**
+ * Apply values to a site, handing the site over to a directive if the site's
+ * value is a directive.
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function applySiteValues(site, values) {
+	const index = getSingleValueIndex(site)
+	const value = index === undefined ? undefined : values[index]
+
+	if (isDirectiveResult(value)) {
+		applyDirective(site, value)
+		return
+	}
+
+	if (isThenable(value)) {
+		applyDirective(site, until(value))
+		return
+	}
+
+	// Other sites, f.e. properties of elements that consume streams, get the iterable itself
+	if (isAsyncIterable(value) && site.type === 'text') {
+		applyDirective(site, asyncReplace(value))
+		return
+	}
+
+	// Objects that only look like signals, f.e. stores, are passed to properties as is
+	if (isSignal(value) && (site.type !== 'property' || isTC39Signal(value))) {
+		applyDirective(site, bindSignal(value))
+		return
+	}
+
+	if (site.directive) disconnectDirective(site)
+
+	if (index === undefined && site.parts?.some(part => typeof part === 'number' && isDirectiveResult(values[part])))
+		throw new Error(
+			`Directives must be the whole value of an interpolation site, but found one in a mixed value for ${site.attributeName}.`,
+		)
+
+	renderSiteValues(site, values)
+}
+
+/**
+ * Render values into a site's DOM according to the site's type.
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function renderSiteValues(site, values) {
+	// With pre-split text nodes, each text site corresponds to exactly one interpolation
+	if (site.type === 'text') interpolateTextSite(site, values[/** @type {number} */ (site.interpolationIndex)])
+	else if (site.type === 'attribute') interpolateAttributeSite(site, values)
+	else if (site.type === 'boolean-attribute') interpolateBooleanAttributeSite(site, values)
+	else if (site.type === 'property') interpolatePropertySite(site, values)
+	else if (site.type === 'event') interpolateEventSite(site, values)
+	else if (site.type === 'ref') interpolateRefSite(site, values)
+	else if (site.type === 'element') interpolateElementSite(site, values)
+	else if (site.type === 'spread') interpolateSpreadSite(site, values)
+}
+
+/**
+ * Render a single value into a site that has a single interpolated value.
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue} value
+ */
+function renderSiteValue(site, value) {
+	/** @type {InterpolationValue[]} */
+	const values = []
+	values[/** @type {number} */ (getSingleValueIndex(site))] = value
+	renderSiteValues(site, values)
+}
+
+/**
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function interpolateAttributeSite(site, values) {
+	const element = /** @type {Element} */ (site.node)
+	const parts = site.parts || []
+
+	// Handle force detection and unwrapping for attribute values
+	// Check each interpolated value and handle force detection
+	const attributeValues = parts
+		.filter(part => typeof part === 'number')
+		.map(part => {
+			const value = values[part]
+			if (isForceWrapped(value)) {
+				if (!site.requiresUnwrapping) {
+					site.skipEqualityCheck = true
+					site.requiresUnwrapping = true
+				}
+				return unwrapForce(value)
+			} else if (site.requiresUnwrapping) {
+				throw new Error(
+					'Value must be wrapped with force() for this interpolation site. Once force() is used at a site, it must always be used.',
+				)
+			}
+			return value
+		})
+
+	if (!site.skipEqualityCheck && arrayEquals(/** @type {unknown[]} */ (site.lastValue), attributeValues)) return // No change
+
+	// Objects (and arrays for class) set individual class tokens or style properties
+	const [singleValue] = attributeValues
+	if (getSingleValueIndex(site) !== undefined && isClassOrStyleMap(site.attributeName, singleValue)) {
+		if (site.attributeName === 'class') updateClassMap(site, /** @type {object} */ (singleValue))
+		else updateStyleMap(site, /** @type {Record<string, unknown>} */ (singleValue))
+		site.lastValue = attributeValues
+		return
+	}
+
+	// A plain value replaces the whole attribute, including tokens or properties set from a map
+	site.classTokens = site.styleProperties = undefined
+
+	// Check if any attribute value would produce DOM nodes - not allowed in attributes
+	if (attributeValues.some(value => value instanceof Node || Array.isArray(value) || typeof value === 'function')) {
+		throw new Error(
+			'Nested templates and DOM elements are not allowed in attributes. Use text content interpolation instead.',
+		)
+	}
+
+	// Create values array with unwrapped values for string joining
+	const processedValues = [...values]
+	let attributeValueIndex = 0
+	for (const part of parts) if (typeof part === 'number') processedValues[part] = attributeValues[attributeValueIndex++]
+
+	const attributeName = site.attributeName || ''
+	const newAttributeValue = joinPartsWithValues(parts, processedValues)
+	element.setAttribute(attributeName, String(sanitizeUrlSink(attributeName, newAttributeValue, element.localName)))
+	site.lastValue = attributeValues
+
+	// Record the tokens or properties of the plain value, so that they are removed if a map is rendered next
+	if (attributeName === 'class') site.classTokens = getClassTokens([newAttributeValue])
+	else if (attributeName === 'style')
+		site.styleProperties = new Set(Array.from(/** @type {HTMLElement} */ (element).style))
+}
+
+/**
+ * Check if a value is an object for a `class` or `style` attribute, or an array
+ * for a `class` attribute, that should set individual class tokens or style
+ * properties rather than the whole attribute.
+ * @param {string | undefined} attributeName
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isClassOrStyleMap(attributeName, value) {
+	if (attributeName !== 'class' && attributeName !== 'style') return false
+	if (!value || typeof value !== 'object' || isDomNode(value)) return false
+	if (!Array.isArray(value)) return true
+	// Arrays of nodes (f.e. nested templates) are still not allowed in attributes
+	return attributeName === 'class' && !value.some(isDomNode)
+}
+
+/**
+ * Check if a value is a DOM node, without failing in environments that have no
+ * DOM (f.e. when rendering to a string on a server).
+ * @param {unknown} value
+ * @returns {value is Node}
+ */
+function isDomNode(value) {
+	return typeof Node !== 'undefined' && value instanceof Node
+}
+
+/**
+ * Neutralize a URL whose scheme is not allowed, f.e. `javascript:`, when it is
+ * the value of an attribute or property that navigates to or loads URLs. Other
+ * values are returned as is.
+ * @param {string} name The attribute or property name.
+ * @param {unknown} value
+ * @param {string} elementName The local name of the element.
+ * @returns {unknown}
+ */
+function sanitizeUrlSink(name, value, elementName) {
+	const sinkName = name.toLowerCase()
+	if (!URL_SINKS.includes(sinkName) && !ELEMENT_URL_SINKS.get(elementName)?.includes(sinkName)) return value
+	if (typeof value !== 'string' && !(value instanceof URL)) return value
+	if (isSafeUrl(String(value))) return value
+
+	if (config.dev)
+		console.warn(
+			`Blocked an unsafe URL in ${name}: ${JSON.stringify(String(value))}. Allow its scheme with configure({urlSchemes}).`,
+		)
+	return BLOCKED_URL
+}
+
+/**
+ * Check if a URL is relative, or has a scheme that is allowed by
+ * `config.urlSchemes` (or is a data URL of media).
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+	url = url.replace(URL_IGNORED_CHARACTERS_REGEXP, '')
+	const scheme = url.match(URL_SCHEME_REGEXP)?.[1].toLowerCase()
+	if (!scheme) return true
+	return config.urlSchemes.includes(scheme) || (scheme === 'data' && SAFE_DATA_URL_REGEXP.test(url))
+}
+
+/**
+ * Get the class tokens of a class map. Tokens are the truthy keys of an
+ * object, or the truthy items of an array.
+ * @param {object} value
+ * @returns {Set<string>}
+ */
+function getClassTokens(value) {
+	const names = Array.isArray(value)
+		? value.filter(Boolean)
+		: Object.entries(value)
+				.filter(([, enabled]) => enabled)
+				.map(([name]) => name)
+
+	/** @type {Set<string>} */
+	const tokens = new Set()
+	for (const name of names) for (const token of String(name).split(WHITESPACE_REGEXP)) if (token) tokens.add(token)
+
+	return tokens
+}
+
+/**
+ * Toggle class tokens through `classList`. Only tokens that this site added
+ * previously are removed, so tokens added by other code are left alone.
+ * @param {InterpolationSite} site
+ * @param {object} value
+ */
+function updateClassMap(site, value) {
+	const {classList} = /** @type {Element} */ (site.node)
+	const tokens = getClassTokens(value)
+
+	for (const token of site.classTokens ?? []) if (!tokens.has(token)) classList.remove(token)
+	for (const token of tokens) classList.add(token)
+
+	site.classTokens = tokens
+}
+
+/**
+ * Get the declarations of a style map. Keys can be camelCase or dash-case
+ * property names, or custom properties (f.e. `--main-color`). Values ending
+ * with `!important` have important priority, and `null`, `undefined`, or
+ * `false` values are skipped.
+ * @param {Record<string, unknown>} value
+ * @returns {{property: string, value: string, priority: string}[]}
+ */
+function getStyleDeclarations(value) {
+	const declarations = []
+
+	for (const [name, propertyValue] of Object.entries(value)) {
+		if (propertyValue == null || propertyValue === false) continue
+
+		const property = name.includes('-') ? name : name.replace(CAMEL_CASE_REGEXP, '-$&').toLowerCase()
+		const text = String(propertyValue)
+		const important = text.endsWith(IMPORTANT)
+
+		declarations.push({
+			property,
+			value: important ? text.slice(0, -IMPORTANT.length).trim() : text,
+			priority: important ? 'important' : '',
+		})
+	}
+
+	return declarations
+}
+
+/**
+ * Set style properties through `style.setProperty`. Only properties that this
+ * site set previously are removed, so properties set by other code are left
+ * alone.
+ * @param {InterpolationSite} site
+ * @param {Record<string, unknown>} value
+ */
+function updateStyleMap(site, value) {
+	const {style} = /** @type {HTMLElement} */ (site.node)
+
+	/** @type {Set<string>} */
+	const properties = new Set()
+
+	for (const {property, value: propertyValue, priority} of getStyleDeclarations(value)) {
+		style.setProperty(property, propertyValue, priority)
+		properties.add(property)
+	}
+
+	for (const property of site.styleProperties ?? []) if (!properties.has(property)) style.removeProperty(property)
+
+	site.styleProperties = properties
+}
+
+/**
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function interpolateBooleanAttributeSite(site, values) {
+	const element = /** @type {Element} */ (site.node)
+	const parts = site.parts || []
+	const index = getSingleValueIndex(site)
+
+	let setAttribute = false
+	// Pure interpolation
+	if (index !== undefined) setAttribute = !!handleForceValue(site, values[index])
+	// Static content - single string part
+	else if (parts.length === 1 && typeof parts[0] === 'string') setAttribute = parts[0].trim() !== ''
+	// Mixed content - always truthy (has both static and dynamic parts)
+	else setAttribute = true
+
+	if (!site.skipEqualityCheck && site.lastValue === setAttribute) return // No change
+
+	if (setAttribute) element.setAttribute(site.attributeName || '', '')
+	else element.removeAttribute(site.attributeName || '')
+
+	site.lastValue = setAttribute
+}
+
+/**
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function interpolatePropertySite(site, values) {
+	const element = /** @type {Element} */ (site.node)
+	const parts = site.parts || []
+	const index = getSingleValueIndex(site)
+
+	let propValue
+	// Pure interpolation
+	if (index !== undefined) propValue = handleForceValue(site, values[index])
+	// Mixed content or static content
+	else {
+		// For mixed content, we need to handle force for each interpolated part
+		const processedValues = [...values]
+		for (const part of parts) if (typeof part === 'number') processedValues[part] = handleForceValue(site, values[part])
+		propValue = joinPartsWithValues(parts, processedValues)
+	}
+
+	if (!site.skipEqualityCheck && site.lastValue === propValue) return // No change
+
+	const propName = site.attributeName || ''
+	const anyElement = /** @type {any} */ (element)
+	anyElement[propName] = sanitizeUrlSink(propName, propValue, element.localName)
+	site.lastValue = propValue
+}
+
+/**
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function interpolateEventSite(site, values) {
+	const parts = site.parts || []
+	const eventName = site.attributeName || ''
+	const index = getSingleValueIndex(site)
+
+	// Determine the current handler value for comparison
+	let inputValue
+	if (index !== undefined) inputValue = handleForceValue(site, values[index])
+	else {
+		// For mixed content, handle force for each interpolated part
+		const processedValues = [...values]
+		for (const part of parts) if (typeof part === 'number') processedValues[part] = handleForceValue(site, values[part])
+		inputValue = joinPartsWithValues(parts, processedValues)
+	}
+
+	// Only update event handler if it has changed
+	if (!site.skipEqualityCheck && site.lastValue === inputValue) return // No change
+
+	// Determine the actual event listener to use
+	let eventListener
+	/** @type {Partial<Record<ListenerOption, unknown>> | undefined} */
+	let optionsObject
+	if (index !== undefined) {
+		// Pure interpolation
+		if (typeof inputValue === 'function') eventListener = inputValue
+		else if (typeof inputValue === 'string') eventListener = createEventHandlerFunction(site, inputValue, false)
+		else if (inputValue == null || inputValue === '' || inputValue === false) eventListener = null
+		else if (isEventListenerObject(inputValue)) {
+			// A listener object, f.e. a controller with a handleEvent() method,
+			// or {handleEvent() {...}, passive: true} with listener options
+			eventListener = inputValue
+			optionsObject = inputValue
+		} else
+			throw new TypeError(
+				`Event handler for ${eventName} must be a function, an object with a handleEvent() method, or a string`,
+			)
+	} else {
+		// Mixed content - treat as code string
+		const handlerCode = joinPartsWithValues(parts, values)
+		if (handlerCode.trim() === '') eventListener = null
+		else
+			eventListener = createEventHandlerFunction(
+				site,
+				handlerCode,
+				parts.every(part => typeof part === 'string'),
+			)
+	}
+
+	// Optimized event handler management
+	if (eventListener) {
+		// We have a valid event listener
+		const listenerOptions = getListenerOptions(site, optionsObject)
+
+		// Listener options can only be changed by adding the listener again
+		if (site.internalHandler && !listenerOptionsEqual(site.listenerOptions, listenerOptions)) removeEventHandler(site)
+
+		if (!site.internalHandler) {
+			// Create a stable wrapper function that calls the current handler
+			site.internalHandler = /** @type {EventListener} */ (event => handleSiteEvent(site, event))
+			site.listenerOptions = listenerOptions
+			if (canDelegate(site)) addDelegatedSite(site)
+			else getEventTarget(site).addEventListener(eventName, site.internalHandler, listenerOptions)
+		}
+		// Update the current handler reference (no DOM manipulation needed)
+		site.currentEventListener = /** @type {EventListenerOrEventListenerObject} */ (eventListener)
+	} else {
+		// We have a falsy event listener, remove the internal handler if it exists
+		removeEventHandler(site)
+	}
+
+	site.lastValue = inputValue
+}
+
+/**
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function interpolateRefSite(site, values) {
+	const ref = values[/** @type {number} */ (getSingleValueIndex(site))]
+
+	if (site.lastValue === ref) return // No change
+
+	if (ref != null && typeof ref !== 'function' && typeof ref !== 'object')
+		throw new TypeError('A ref must be a function or an object with a `current` property.')
+
+	// The previous ref no longer refers to the element.
+	setRef(site.lastValue, null)
+	setRef(ref, /** @type {Element} */ (site.node))
+
+	site.lastValue = ref
+}
+
+/**
+ * Call the callback of an element binding with the element, when the callback
+ * changes. The cleanup function that the previous callback returned, if any,
+ * is called first.
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function interpolateElementSite(site, values) {
+	const callback = handleForceValue(site, values[/** @type {number} */ (getSingleValueIndex(site))])
+
+	if (!site.skipEqualityCheck && site.lastValue === callback) return // No change
+
+	if (callback != null && callback !== false && typeof callback !== 'function')
+		throw new TypeError('An element binding must be a function that receives the element, or a directive.')
+
+	cleanUpElementSite(site)
+	site.lastValue = callback
+
+	if (typeof callback !== 'function') return
+	const cleanup = callback(site.node)
+	if (typeof cleanup === 'function') site.cleanup = cleanup
+}
+
+/**
+ * Call the cleanup function of an element binding's callback, if any.
+ * @param {InterpolationSite} site
+ */
+function cleanUpElementSite(site) {
+	const {cleanup} = site
+	site.cleanup = undefined
+	cleanup?.()
+}
+
+/**
+ * Check if a value is an event listener object, i.e. an object with a
+ * `handleEvent` method, and optionally `capture`, `passive`, and `once`
+ * listener options.
+ * @param {unknown} value
+ * @returns {value is EventListenerObject & Partial<Record<ListenerOption, unknown>>}
+ */
+function isEventListenerObject(value) {
+	return !!value && typeof value === 'object' && typeof (/** @type {any} */ (value).handleEvent) === 'function'
+}
+
+/**
+ * Get the listener options of an event site from its modifiers and from the
+ * listener object, if any. Only enabled options are included, so that a site
+ * without options adds its listener the same way `addEventListener` does
+ * without options.
+ * @param {InterpolationSite} site
+ * @param {Partial<Record<ListenerOption, unknown>>} [listener]
+ * @returns {AddEventListenerOptions | undefined}
+ */
+function getListenerOptions(site, listener) {
+	/** @type {AddEventListenerOptions | undefined} */
+	let options
+	for (const option of LISTENER_OPTIONS)
+		if (site.eventModifiers?.has(option) || listener?.[option]) (options ??= {})[option] = true
+	return options
+}
+
+/**
+ * @param {AddEventListenerOptions | undefined} a
+ * @param {AddEventListenerOptions | undefined} b
+ * @returns {boolean}
+ */
+function listenerOptionsEqual(a, b) {
+	return LISTENER_OPTIONS.every(option => !!a?.[option] === !!b?.[option])
+}
+
+/**
+ * Call an event site's current listener, applying the site's event modifiers.
+ * @param {InterpolationSite} site
+ * @param {Event} event
+ */
+function handleSiteEvent(site, event) {
+	const modifiers = site.eventModifiers
+
+	if (modifiers) {
+		if (modifiers.has('self') && event.target !== event.currentTarget) return
+
+		const keys = [...modifiers].flatMap(modifier => KEY_MODIFIERS[modifier] ?? [])
+		if (keys.length && !keys.includes(/** @type {KeyboardEvent} */ (event).key)) return
+
+		if (modifiers.has('prevent')) event.preventDefault()
+		if (modifiers.has('stop')) event.stopPropagation()
+	}
+
+	const listener = site.currentEventListener
+	if (typeof listener === 'function') listener(event)
+	// Like the DOM, look up handleEvent when the event happens, and call it with the object as `this`
+	else listener?.handleEvent(event)
+}
+
+/**
+ * Delegated event sites by element, and by event name.
+ * @type {WeakMap<EventTarget, Map<string, Set<InterpolationSite>>>}
+ */
+const delegatedSites = new WeakMap()
+
+/** Event names that a delegated listener has been added to the document for. */
+const delegatedEventNames = new Set()
+
+/**
+ * Check if an event site can be handled by a delegated listener on the
+ * document. Only bubbling, composed events on elements, without listener
+ * options or the `.prevent` modifier, are delegated (the default action of
+ * some events can not be prevented by the time they reach the document).
+ * @param {InterpolationSite} site
+ * @returns {boolean}
+ */
+function canDelegate(site) {
+	return (
+		config.delegateEvents &&
+		!site.eventTargetName &&
+		!site.listenerOptions &&
+		!site.eventModifiers?.has('prevent') &&
+		DELEGATED_EVENTS.includes(site.attributeName || '')
+	)
+}
+
+/**
+ * Register an event site with the delegated listener for its event, instead
+ * of adding a listener to its element.
+ * @param {InterpolationSite} site
+ */
+function addDelegatedSite(site) {
+	const eventName = site.attributeName || ''
+
+	let sitesByEvent = delegatedSites.get(site.node)
+	if (!sitesByEvent) delegatedSites.set(site.node, (sitesByEvent = new Map()))
+
+	let sites = sitesByEvent.get(eventName)
+	if (!sites) sitesByEvent.set(eventName, (sites = new Set()))
+
+	sites.add(site)
+	site.delegated = true
+
+	if (delegatedEventNames.has(eventName)) return
+	delegatedEventNames.add(eventName)
+	document.addEventListener(eventName, handleDelegatedEvent)
+}
+
+/**
+ * @param {InterpolationSite} site
+ */
+function removeDelegatedSite(site) {
+	delegatedSites
+		.get(site.node)
+		?.get(site.attributeName || '')
+		?.delete(site)
+}
+
+/**
+ * The listener that handles delegated events on the document. It walks the
+ * event path from the target up, calling the handlers of delegated sites as if
+ * the event had bubbled through them, until propagation is stopped.
+ * @param {Event} event
+ */
+function handleDelegatedEvent(event) {
+	try {
+		for (const node of event.composedPath()) {
+			const sites = delegatedSites.get(node)?.get(event.type)
+			if (!sites?.size) continue
+
+			// Handlers expect currentTarget to be their element, not the document.
+			Object.defineProperty(event, 'currentTarget', {configurable: true, get: () => node})
+
+			for (const site of [...sites]) site.internalHandler?.(event)
+
+			if (event.cancelBubble) break
+		}
+	} finally {
+		delete (/** @type {any} */ (event).currentTarget)
+	}
+}
+
+/**
+ * Spread an object's entries onto an element. Each key is handled by its own
+ * site, with the same prefixes as attribute bindings in templates (f.e.
+ * `{'.value': v, '@input': fn, '?disabled': d, title: t}`). Keys that were
+ * spread previously but are missing now are removed: attributes are removed,
+ * event listeners are detached, and properties are reset to their original
+ * values.
+ *
+ * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
+ */
+function interpolateSpreadSite(site, values) {
+	const element = /** @type {Element} */ (site.node)
+	const anyElement = /** @type {any} */ (element)
+	const props = values[/** @type {number} */ (getSingleValueIndex(site))] ?? {}
+	const spreadSites = /** @type {Map<string, InterpolationSite>} */ (site.spreadSites)
+
+	if (typeof props !== 'object') throw new TypeError('A spread binding value must be an object.')
+
+	for (const [name, spreadSite] of spreadSites) {
+		if (Object.hasOwn(props, name)) continue
+		removeSpreadSite(spreadSite)
+		spreadSites.delete(name)
+	}
+
+	for (const [name, value] of Object.entries(props)) {
+		let spreadSite = spreadSites.get(name)
+
+		if (!spreadSite) {
+			const {type, attributeName, skipEqualityCheck} = parseBindingName(name)
+			const {templateStrings} = site
+			spreadSite = {node: element, type, attributeName, parts: ['', 0, ''], skipEqualityCheck, templateStrings}
+			if (type === 'property') spreadSite.initialValue = anyElement[attributeName]
+			else if (type === 'event') parseEventName(spreadSite)
+			spreadSites.set(name, spreadSite)
+		}
+
+		applySiteValues(spreadSite, [value])
+	}
+}
+
+/**
+ * Undo what a site of a spread binding did to its element.
+ * @param {InterpolationSite} site
+ */
+function removeSpreadSite(site) {
+	const element = /** @type {Element} */ (site.node)
+	const name = site.attributeName || ''
+
+	disposeSite(site)
+
+	const anyElement = /** @type {any} */ (element)
+
+	if (site.type === 'attribute' || site.type === 'boolean-attribute') element.removeAttribute(name)
+	else if (site.type === 'property') anyElement[name] = site.initialValue
+}
+
+/**
+ * Holds information about a template instance's nodes and interpolation sites.
+ */
+class TemplateInstance {
+	nodes
+	sites
+	template
+	key
+
+	/** @type {(() => void)[]} */
+	disposeCallbacks = []
+
+	/** Whether the nodes were adopted from server-rendered HTML, and values have not been applied yet. */
+	hydrating = false
+
+	/**
+	 * @param {TemplateNodes} nodes The cloned nodes for this template instance
+	 * @param {InterpolationSite[]} sites The interpolation sites in the template
+	 * @param {Template} template The template that this is an instance of
+	 * @param {TemplateKey} key The key this instance is cached with
+	 */
+	constructor(nodes, sites, template, key) {
+		this.nodes = nodes
+		this.sites = sites
+		this.template = template
+		this.key = key
+	}
+
+	/**
+	 * Register a callback to run when this instance is disposed.
+	 * @param {() => void} callback
+	 */
+	onDispose(callback) {
+		this.disposeCallbacks.push(callback)
+	}
+
+	/**
+	 * Tear down this instance: remove event listeners, dispose nested template
+	 * instances, remove this instance from the cache, and run dispose callbacks.
+	 */
+	dispose() {
+		if (this.template.instances.get(this.key) !== this) return // Already disposed
+
+		this.template.instances.delete(this.key)
+		keyedInstances.get(this.key)?.delete(this)
+
+		for (const site of this.sites) disposeSite(site)
+
+		const callbacks = this.disposeCallbacks
+		this.disposeCallbacks = []
+		for (const callback of callbacks) callback()
+	}
+
+	/**
+	 * Apply values to interpolation sites
+	 * @param {InterpolationValue[]} values
+	 */
+	applyValues(values) {
+		if (this.hydrating) {
+			this.hydrating = false
+			for (const site of this.sites) hydrateSite(site, values)
+		} else for (const site of this.sites) applySiteValues(site, values)
+	}
+}
+
+/**
+ * Render a template function (or any value that can be interpolated as text
+ * content, f.e. an array of template functions) to an HTML string, without a
+ * DOM. This can run on a server to send HTML that displays before any
+ * JavaScript loads.
+ *
+ * Attributes, boolean attributes, and text are rendered, with values escaped.
+ * Property (`.prop`), event (`@event`), and `ref` bindings can't be
+ * represented in HTML, so they are skipped, and elements that have bindings
+ * get a `data-nh` attribute and text sites are wrapped in `<!--nh:N-->` and
+ * `<!--/nh-->` comments, for hydration.
+ *
+ * Promises and async iterables render nothing (or the placeholder of an
+ * `until()`, see renderToStream() to await promises), and signals render their
+ * current value. A custom directive
+ * renders the value returned by an optional static `render(...values)` method
+ * of the directive class, or nothing.
+ *
+ * Custom elements render their shadow roots as Declarative Shadow DOM (a
+ * `<template shadowrootmode="open">` as the first child of the element) with
+ * the functions in the `elements` option, by tag name. Each function receives
+ * the element's props (attribute values, boolean attributes, and properties)
+ * and returns the template of the shadow root.
+ *
+ * @param {InterpolationValue} templateFn
+ * @param {ServerRenderOptions} [options]
+ * @returns {string}
+ */
+export function renderToString(templateFn, {elements = {}} = {}) {
+	let html = ''
+	for (const chunk of renderServerValue(templateFn, {awaitPromises: false, elements})) html += chunk
+	return html
+}
+
+/**
+ * Render a template function to chunks of HTML, like `renderToString()`, but
+ * awaiting promises (including the promises of `until()`) and rendering their
+ * results in place. The HTML before each promise is yielded before waiting
+ * for it, so large pages start arriving before all data is loaded.
+ *
+ * The result is an async iterable, so it can be written to a Node.js response
+ * with `for await`, or converted to a stream with `Readable.from()` in Node.js
+ * or `ReadableStream.from()`.
+ *
+ * @param {InterpolationValue} templateFn
+ * @param {ServerRenderOptions} [options] The same options as `renderToString()`.
+ * @returns {AsyncGenerator<string, void, undefined>}
+ */
+export async function* renderToStream(templateFn, {elements = {}} = {}) {
+	handleServerPromises(templateFn)
+
+	const chunks = renderServerValue(templateFn, {awaitPromises: true, elements})
+	let html = ''
+	let result = chunks.next()
+
+	while (!result.done) {
+		const chunk = result.value
+
+		if (typeof chunk === 'string') {
+			html += chunk
+			result = chunks.next()
+			continue
+		}
+
+		// Send what is ready before waiting for the promise
+		if (html) yield html
+		html = ''
+
+		result = chunks.next(await chunk)
+	}
+
+	if (html) yield html
+}
+
+/**
+ * Add a rejection handler to each promise in a value (in nested templates,
+ * arrays, directive values, and the results of other promises too) as soon as
+ * streaming starts. Promises are awaited in order, so a promise that rejects
+ * while an earlier one is pending would otherwise be reported as an unhandled
+ * rejection, even when it has an `until()` fallback. Where the stream reaches
+ * the promise, its error is still thrown, or its fallback rendered.
+ * @param {InterpolationValue} value
+ */
+function handleServerPromises(value) {
+	if (isForceWrapped(value)) handleServerPromises(unwrapForce(value))
+	else if (isThenable(value)) value.then(handleServerPromises, () => {})
+	else if (isDirectiveResult(value)) for (const item of value[DIRECTIVE_SYMBOL].values) handleServerPromises(item)
+	else if (Array.isArray(value)) for (const item of value) handleServerPromises(item)
+	else if (typeof value === 'function')
+		for (const item of templateResults.get(value)?.values ?? []) handleServerPromises(item)
+}
+
+/**
+ * Compiled chunks of server-rendered HTML, based on template strings.
+ * @type {WeakMap<TemplateStringsArray, ServerChunk[]>}
+ */
+const serverTemplateCache = new WeakMap()
+
+/**
+ * Get the value to render on the server for a value: unwrap force() values,
+ * render directives with their static `render()` method, and read signals.
+ * Promises are returned as is when they are to be awaited (when streaming),
+ * otherwise they render nothing.
+ * @param {InterpolationValue} value
+ * @param {boolean} awaitPromises
+ * @returns {InterpolationValue}
+ */
+function getServerValue(value, awaitPromises) {
+	if (isForceWrapped(value)) return getServerValue(unwrapForce(value), awaitPromises)
+
+	if (isDirectiveResult(value)) {
+		const {DirectiveClass, values} = value[DIRECTIVE_SYMBOL]
+		if (awaitPromises && DirectiveClass === UntilDirective) {
+			const [promise, , fallback] = values
+			if (isThenable(promise) && fallback) return Promise.resolve(promise).catch(fallback)
+			return getServerValue(promise, awaitPromises)
+		}
+		return DirectiveClass.render ? getServerValue(DirectiveClass.render(...values), awaitPromises) : undefined
+	}
+
+	if (isThenable(value)) return awaitPromises ? value : undefined
+	if (value === noChange || isAsyncIterable(value)) return undefined
+	if (isSignal(value)) return getServerValue(value.get(), awaitPromises)
+	return value
+}
+
+/**
+ * Get the value to render on the server for a value, awaiting promises when
+ * streaming: each promise is yielded to the stream, which resumes rendering
+ * with the promise's result.
+ * @param {InterpolationValue} value
+ * @param {boolean} awaitPromises
+ * @returns {Generator<PromiseLike<unknown>, InterpolationValue, unknown>}
+ */
+function* resolveServerValue(value, awaitPromises) {
+	value = getServerValue(value, awaitPromises)
+	while (isThenable(value)) value = getServerValue(yield value, awaitPromises)
+	return value
+}
+
+/**
+ * Render a value at a text position to HTML strings. When streaming, promises
+ * are yielded to be awaited (see resolveServerValue()).
+ * @param {InterpolationValue} value
+ * @param {ServerRenderContext} context
+ * @returns {Generator<string | PromiseLike<unknown>, void, unknown>}
+ */
+function* renderServerValue(value, context) {
+	value = yield* resolveServerValue(value, context.awaitPromises)
+
+	if (isRepeat(value)) {
+		const {items, templateFn} = value[REPEAT_SYMBOL]
+		let index = 0
+		for (const item of items) yield* renderServerValue(templateFn(item, index++), context)
+	} else if (Array.isArray(value)) for (const item of value) yield* renderServerValue(item, context)
+	else if (typeof value === 'function') {
+		const result = templateResults.get(value)
+		if (!result)
+			throw new TypeError('Only template functions returned by html, svg, or mathml can be rendered to a string.')
+		yield* renderServerTemplate(result, context)
+	} else if (value instanceof RawMarkup) yield value.markup
+	else if (isDomNode(value)) yield value instanceof Element ? value.outerHTML : escapeHTML(value.textContent ?? '')
+	else yield escapeHTML(String(value ?? ''))
+}
+
+/**
+ * Render a template result to HTML strings.
+ * @param {TemplateResult} result
+ * @param {ServerRenderContext} context
+ * @returns {Generator<string | PromiseLike<unknown>, void, unknown>}
+ */
+function* renderServerTemplate({mode, strings, values}, context) {
+	for (const chunk of compileServerTemplate(strings, mode)) {
+		if (typeof chunk === 'string') yield chunk
+		else if (chunk.type === 'text') {
+			yield `<!--${SERVER_TEXT_START}${chunk.index}-->`
+			yield* renderServerValue(values[chunk.index], context)
+			yield `<!--${SERVER_TEXT_END}-->`
+		} else if (chunk.type === 'raw-text') {
+			const value = yield* resolveServerValue(values[chunk.index], context.awaitPromises)
+			yield renderServerRawText(chunk.element, value)
+		} else if (chunk.type === 'attributes') {
+			const attributeValues = yield* resolveServerValues(chunk.attributes, values, context.awaitPromises)
+			yield renderServerAttributes(chunk.attributes, chunk.ordinal, attributeValues, chunk.element)
+		} else if (Object.hasOwn(context.elements, chunk.element)) {
+			const attributeValues = yield* resolveServerValues(chunk.attributes, values, context.awaitPromises)
+			const props = getServerProps(chunk.attributes, attributeValues)
+			yield '<template shadowrootmode="open">'
+			yield* renderServerValue(context.elements[chunk.element](props), context)
+			yield '</template>'
+		}
+	}
+}
+
+/**
+ * Get the values of attributes, awaiting promises when streaming. The values
+ * of all attributes of an element are needed before any of them can be
+ * rendered.
+ * @param {ServerAttribute[]} attributes
+ * @param {InterpolationValue[]} values
+ * @param {boolean} awaitPromises
+ * @returns {Generator<PromiseLike<unknown>, InterpolationValue[], unknown>}
+ */
+function* resolveServerValues(attributes, values, awaitPromises) {
+	const resolvedValues = [...values]
+
+	for (const {parts} of attributes)
+		for (const part of parts)
+			if (typeof part === 'number') resolvedValues[part] = yield* resolveServerValue(values[part], awaitPromises)
+
+	return resolvedValues
+}
+
+/**
+ * Get the props of a custom element from its attributes, to render its shadow
+ * root on the server: attribute values as strings, boolean attributes as
+ * booleans, and property values as is. Events are skipped.
+ * @param {ServerAttribute[]} attributes
+ * @param {InterpolationValue[]} values
+ * @returns {Record<string, unknown>}
+ */
+function getServerProps(attributes, values) {
+	/** @type {Record<string, unknown>} */
+	const props = {}
+
+	for (const {name, parts} of attributes) {
+		if (name !== SPREAD_ATTRIBUTE) {
+			setServerProp(props, name, parts, values)
+			continue
+		}
+
+		const spread = /** @type {Record<string, unknown> | null | undefined} */ (
+			getServerValue(values[getSinglePartIndex(parts) ?? -1], false)
+		)
+		for (const [key, value] of Object.entries(spread ?? {})) setServerProp(props, key, ['', 0, ''], [value])
+	}
+
+	return props
+}
+
+/**
+ * @param {Record<string, unknown>} props
+ * @param {string} name
+ * @param {(string | number)[]} parts
+ * @param {InterpolationValue[]} values
+ */
+function setServerProp(props, name, parts, values) {
+	const {type, attributeName} = parseBindingName(name)
+	const index = getSinglePartIndex(parts)
+
+	if (type === 'event' || (name === 'ref' && index !== undefined) || name.includes(INTERPOLATION_MARKER)) return
+
+	if (type === 'boolean-attribute') props[attributeName] = isServerBooleanAttributeOn(parts, values)
+	else if (type === 'property' && index !== undefined) {
+		// Like on the client, properties receive async iterables and stores as is
+		const value = values[index]
+		const isStore = isSignal(value) && !isTC39Signal(value)
+		props[attributeName] = isAsyncIterable(value) || isStore ? value : getServerValue(value, false)
+	} else
+		props[attributeName] = parts
+			.map(part => (typeof part === 'number' ? String(getServerValue(values[part], false) ?? '') : part))
+			.join('')
+}
+
+/**
+ * Render a value inside a raw text element (f.e. `<style>`), where there can
+ * be no markup.
+ * @param {string} element
+ * @param {InterpolationValue} value
+ * @returns {string}
+ */
+function renderServerRawText(element, value) {
+	const text = String(getServerValue(value, false) ?? '')
+	// Only the end tag needs escaping in scripts and styles, while entities are decoded in textareas and titles.
+	if (element === 'script' || element === 'style') return text.replace(SCRIPT_END_REGEXP, '<\\/$1')
+	return escapeHTML(text)
+}
+
+/**
+ * Render the binding attributes of an element, followed by the attribute that
+ * marks the element for hydration.
+ * @param {ServerAttribute[]} attributes
+ * @param {number} ordinal
+ * @param {InterpolationValue[]} values
+ * @param {string} element The name of the element.
+ * @returns {string}
+ */
+function renderServerAttributes(attributes, ordinal, values, element) {
+	let html = ''
+
+	for (const {name, parts} of attributes) {
+		const index = getSinglePartIndex(parts)
+
+		// Refs and element bindings can't be represented in HTML
+		if ((name === 'ref' && index !== undefined) || name.includes(INTERPOLATION_MARKER)) continue
+
+		if (name === SPREAD_ATTRIBUTE) {
+			const props = /** @type {Record<string, unknown> | null | undefined} */ (
+				getServerValue(values[index ?? -1], false)
+			)
+			for (const [key, value] of Object.entries(props ?? {}))
+				html += renderServerAttribute(key, ['', 0, ''], [value], element)
+			continue
+		}
+
+		html += renderServerAttribute(name, parts, values, element)
+	}
+
+	return `${html} ${SERVER_ELEMENT_ATTRIBUTE}="${ordinal}"`
+}
+
+/**
+ * Render one binding attribute, or nothing for properties, events, and boolean
+ * attributes that are off.
+ * @param {string} name
+ * @param {(string | number)[]} parts
+ * @param {InterpolationValue[]} values
+ * @param {string} element The name of the element.
+ * @returns {string}
+ */
+function renderServerAttribute(name, parts, values, element) {
+	const {type, attributeName} = parseBindingName(name)
+	const index = getSinglePartIndex(parts)
+
+	if (type === 'property' || type === 'event') return ''
+
+	// Names from spread objects are not checked by the HTML parser, so check them like setAttribute() does
+	if (!ATTRIBUTE_NAME_REGEXP.test(attributeName))
+		throw new Error(`Invalid attribute name: ${JSON.stringify(attributeName)}.`)
+
+	if (type === 'boolean-attribute') return isServerBooleanAttributeOn(parts, values) ? ` ${attributeName}` : ''
+
+	if (index !== undefined) {
+		const value = getServerValue(values[index], false)
+
+		if (isClassOrStyleMap(attributeName, value)) {
+			const text =
+				attributeName === 'class'
+					? [...getClassTokens(/** @type {object} */ (value))].join(' ')
+					: getStyleDeclarations(/** @type {Record<string, unknown>} */ (value))
+							.map(({property, value, priority}) => `${property}: ${value}${priority ? ` !${priority}` : ''}`)
+							.join('; ')
+			return ` ${attributeName}="${escapeHTML(text)}"`
+		}
+	}
+
+	let text = ''
+	let url = '' // The value without escaping, to check URLs like the client does
+	for (const part of parts) {
+		// Static parts are HTML source, so only quotes need escaping, for the double quotes around the value.
+		if (typeof part === 'string') {
+			text += part.replace(QUOTE_REGEXP, '&quot;')
+			url += part
+			continue
+		}
+
+		const value = getServerValue(values[part], false)
+		if (isDomNode(value) || Array.isArray(value) || typeof value === 'function')
+			throw new Error(
+				'Nested templates and DOM elements are not allowed in attributes. Use text content interpolation instead.',
+			)
+		text += escapeHTML(String(value ?? ''))
+		url += String(value ?? '')
+	}
+
+	if (sanitizeUrlSink(attributeName, url, element) !== url) text = BLOCKED_URL
+
+	return ` ${attributeName}="${text}"`
+}
+
+/**
+ * Check if a boolean attribute is on, like interpolateBooleanAttributeSite()
+ * does: a single value is on when truthy, a static value when not blank, and a
+ * mixed value always.
+ * @param {(string | number)[]} parts
+ * @param {InterpolationValue[]} values
+ * @returns {boolean}
+ */
+function isServerBooleanAttributeOn(parts, values) {
+	const index = getSinglePartIndex(parts)
+	if (index !== undefined) return !!getServerValue(values[index], false)
+	if (parts.length === 1) return String(parts[0]).trim() !== ''
+	return true
+}
+
+/**
+ * Get the index of the value of attribute parts that are a single
+ * interpolation, like getSingleValueIndex() does for sites.
+ * @param {(string | number)[]} parts
+ * @returns {number | undefined}
+ */
+function getSinglePartIndex(parts) {
+	if (parts.length === 3 && parts[0] === '' && parts[2] === '' && typeof parts[1] === 'number') return parts[1]
+	return undefined
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+	return text.replace(HTML_ESCAPE_REGEXP, char => HTML_ESCAPES[char])
+}
+
+/**
+ * Compile template strings to the chunks of server-rendered HTML: static HTML,
+ * and the parts that render values. This tokenizes the HTML with regexes
+ * instead of parsing it with the DOM, so it works where there is no DOM.
+ * @param {TemplateStringsArray} strings
+ * @param {TemplateMode} mode
+ * @returns {ServerChunk[]}
+ */
+function compileServerTemplate(strings, mode) {
+	let chunks = serverTemplateCache.get(strings)
+	if (chunks) return chunks
+	serverTemplateCache.set(strings, (chunks = []))
+
+	const source = joinStringsWithMarkers(strings)
+	/** @type {string[]} */
+	const openElements = []
+	let ordinal = 0
+	let index = 0
+	/** @type {RegExpExecArray | null} */
+	let match
+
+	while (index < source.length) {
+		NEXT_TAG_REGEXP.lastIndex = index
+		const tagIndex = NEXT_TAG_REGEXP.exec(source)?.index ?? source.length
+
+		if (tagIndex > index) {
+			pushServerText(chunks, source.slice(index, tagIndex), openElements.length === 0)
+			index = tagIndex
+		} else if (source.startsWith('<!--', index)) {
+			const end = source.indexOf('-->', index + 4)
+			const endIndex = end < 0 ? source.length : end + 3
+			const comment = source.slice(index, endIndex)
+			if (comment.includes(INTERPOLATION_MARKER)) throw new Error(COMMENT_INTERPOLATION_ERROR)
+			pushServerChunk(chunks, comment)
+			index = endIndex
+		} else if ((match = execAt(END_TAG_REGEXP, source, index))) {
+			const openIndex = openElements.lastIndexOf(match[1].toLowerCase())
+			if (openIndex >= 0) openElements.length = openIndex
+			pushServerChunk(chunks, match[0])
+			index += match[0].length
+		} else if ((match = execAt(MARKUP_DECLARATION_REGEXP, source, index))) {
+			pushServerChunk(chunks, match[0])
+			index += match[0].length
+		} else if ((match = execAt(START_TAG_REGEXP, source, index))) {
+			const name = match[1].toLowerCase()
+			const isForeign = mode !== 'html' || openElements.includes('svg') || openElements.includes('math')
+			/** @type {ServerAttribute[]} */
+			const bindings = []
+			/** @type {ServerAttribute[]} */
+			const attributes = []
+			let html = match[0]
+			let selfClosing = false
+			index += match[0].length
+
+			while (index < source.length) {
+				const end = execAt(START_TAG_END_REGEXP, source, index)
+				if (end) {
+					selfClosing = end[1] === '/'
+					index += end[0].length
+					break
+				}
+
+				const attribute = execAt(SERVER_ATTRIBUTE_REGEXP, source, index)
+
+				// Skip stray characters, f.e. a `/` between attributes
+				if (!attribute) {
+					index++
+					continue
+				}
+
+				index += attribute[0].length
+				const [raw, attributeName] = attribute
+				const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? ''
+
+				const parts = value.includes(INTERPOLATION_MARKER)
+					? parseInterpolationParts(value.split(INTERPOLATION_REGEXP))
+					: [value]
+
+				attributes.push({name: attributeName, parts})
+
+				if (isBindingAttribute(attributeName, value)) bindings.push({name: attributeName, parts})
+				else html += ` ${raw.trim()}`
+			}
+
+			pushServerChunk(chunks, html)
+			if (bindings.length)
+				pushServerChunk(chunks, {type: 'attributes', attributes: bindings, ordinal: ordinal++, element: name})
+			pushServerChunk(chunks, selfClosing ? '/>' : '>')
+
+			// Custom elements may render a shadow root
+			if (!isForeign && name.includes('-')) pushServerChunk(chunks, {type: 'shadow-root', element: name, attributes})
+
+			if (VOID_ELEMENTS.includes(name) || (selfClosing && isForeign)) continue
+
+			openElements.push(name)
+
+			if (!isForeign && RAW_TEXT_ELEMENTS.includes(name)) index = pushServerRawText(chunks, source, index, name)
+		} else {
+			// Not a tag after all, f.e. `</` followed by a space
+			pushServerChunk(chunks, source[index])
+			index++
+		}
+	}
+
+	return chunks
+}
+
+/**
+ * Match a sticky regex at the given index.
+ * @param {RegExp} regexp
+ * @param {string} source
+ * @param {number} index
+ * @returns {RegExpExecArray | null}
+ */
+function execAt(regexp, source, index) {
+	regexp.lastIndex = index
+	return regexp.exec(source)
+}
+
+/**
+ * Add a chunk, merging adjacent static HTML.
+ * @param {ServerChunk[]} chunks
+ * @param {ServerChunk} chunk
+ */
+function pushServerChunk(chunks, chunk) {
+	const last = chunks.length - 1
+	if (typeof chunk === 'string' && typeof chunks[last] === 'string') chunks[last] += chunk
+	else chunks.push(chunk)
+}
+
+/**
+ * Add the chunks of text content, dropping whitespace-only static text at the
+ * top level like templates do in the DOM. A `<` before an interpolation is
+ * text, and is escaped.
+ * @param {ServerChunk[]} chunks
+ * @param {string} text
+ * @param {boolean} isTopLevel
+ */
+function pushServerText(chunks, text, isTopLevel) {
+	const parts = text.replace(LESS_THAN_BEFORE_MARKER_REGEXP, '&lt;').split(INTERPOLATION_REGEXP)
+	for (const part of parseInterpolationParts(parts, isTopLevel))
+		pushServerChunk(chunks, typeof part === 'number' ? {type: 'text', index: part} : part)
+}
+
+/**
+ * Add the chunks of the content of a raw text element, up to its end tag.
+ * @param {ServerChunk[]} chunks
+ * @param {string} source
+ * @param {number} index The index where the content starts.
+ * @param {string} name
+ * @returns {number} The index where the content ends.
+ */
+function pushServerRawText(chunks, source, index, name) {
+	RAW_TEXT_END_REGEXP.lastIndex = index
+	let match = RAW_TEXT_END_REGEXP.exec(source)
+	while (match && match[1].toLowerCase() !== name) match = RAW_TEXT_END_REGEXP.exec(source)
+
+	const end = match ? match.index : source.length
+
+	for (const part of parseInterpolationParts(source.slice(index, end).split(INTERPOLATION_REGEXP)))
+		pushServerChunk(chunks, typeof part === 'number' ? {type: 'raw-text', index: part, element: name} : part)
+
+	return end
+}
+
+/**
+ * Server-rendered nodes that new template instances adopt instead of cloning
+ * their template, while hydrating.
+ * @type {ChildNode[] | undefined}
+ */
+let hydratingNodes
+
+/**
+ * Take over server-rendered HTML (see `renderToString()`) in a container with
+ * a template, instead of rendering new DOM. The existing nodes become the
+ * nodes of the template instance for the key, event and property bindings are
+ * attached to them, and later calls with the same key update them in place.
+ *
+ * If the HTML doesn't match the template, the template is rendered again and
+ * replaces the content of the container. With `configure({dev: true})`,
+ * mismatches are reported with console warnings.
+ *
+ * @param {(key: TemplateKey) => TemplateNodes} templateFn A template function returned by `html`, `svg`, or `mathml`.
+ * @param {ParentNode} container The node that contains the server-rendered HTML.
+ * @param {TemplateKey} [key] The key to hydrate the template instance for.
+ * @returns {TemplateNodes}
+ */
+export function hydrate(templateFn, container, key = Symbol()) {
+	if (!templateResults.has(templateFn))
+		throw new TypeError('hydrate() requires a template function returned by html, svg, or mathml.')
+
+	const outerNodes = hydratingNodes
+	hydratingNodes = Array.from(container.childNodes)
+
+	try {
+		const nodes = templateFn(key)
+		// Nodes that were not adopted replace the server-rendered HTML
+		if (nodes[0]?.parentNode !== container) container.replaceChildren(...nodes)
+		return nodes
+	} finally {
+		hydratingNodes = outerNodes
+	}
+}
+
+/**
+ * Adopt server-rendered nodes as the nodes of a new instance of a template.
+ * The adopted nodes are removed from the start of `serverNodes`.
+ * @param {Template} template
+ * @param {ChildNode[]} serverNodes
+ * @returns {{nodes: TemplateNodes, sites: InterpolationSite[]} | undefined}
+ * The nodes and sites of the instance, or undefined if the server-rendered
+ * nodes don't match the template.
+ */
+function adoptServerNodes(template, serverNodes) {
+	// Find the sites in a clone of the template, then move them to the matching server-rendered nodes.
+	const fragment = document.importNode(template.el.content, true)
+	const sites = findInterpolationSites(fragment, template.caseMappings)
+
+	/** @type {HydrationMatch} */
+	const match = {
+		textSites: new Map(sites.filter(site => site.type === 'text').map(site => [site.node, site])),
+		elementsWithSites: new Set(sites.filter(site => site.type !== 'text').map(site => site.node)),
+		nodes: new Map(),
+		textRanges: new Map(),
+		rawTextElements: [],
+		ordinal: 0,
+		mismatch: '',
+	}
+
+	const end = matchServerNodes(fragment.childNodes, serverNodes, 0, match, true)
+
+	if (end < 0) {
+		if (config.dev) console.warn(`Hydration mismatch: ${match.mismatch} The template will be rendered again.`)
+		return undefined
+	}
+
+	serverNodes.splice(0, end)
+
+	// Interpolations in raw text elements are not marked on the server, so render their text again.
+	for (const [clientElement, serverElement] of match.rawTextElements)
+		serverElement.replaceChildren(...clientElement.childNodes)
+
+	for (const site of sites) {
+		const range = match.textRanges.get(site)
+		if (range) adoptServerText(site, range)
+		else if (site.type !== 'text') {
+			const element = /** @type {Element} */ (match.nodes.get(site.node))
+			element.removeAttribute(SERVER_ELEMENT_ATTRIBUTE)
+			site.node = element
+		}
+	}
+
+	const nodes = Array.from(fragment.childNodes, node => match.textSites.get(node)?.node ?? match.nodes.get(node))
+	return {nodes: /** @type {TemplateNodes} */ (Object.freeze(nodes)), sites}
 }
 
 /**
- * Find interpolation sites in template
- * @param {DocumentFragment} fragment
- * @param {Map<string, string>} caseMappings
- * @returns {InterpolationSite[]}
+ * Match client nodes of a template to server-rendered nodes, recursively.
+ * @param {NodeListOf<ChildNode>} clientNodes
+ * @param {ChildNode[]} serverNodes
+ * @param {number} index The index of the first server node to match.
+ * @param {HydrationMatch} match
+ * @param {boolean} isTopLevel
+ * @returns {number} The index after the matched server nodes, or -1 if they don't match.
  */
-function findInterpolationSites(fragment, caseMappings) {
-	/** @type {InterpolationSite[]} */
-	const sites = []
-	const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT, null)
+function matchServerNodes(clientNodes, serverNodes, index, match, isTopLevel) {
+	for (const clientNode of clientNodes) {
+		index = skipServerNodes(serverNodes, index, isTopLevel)
 
-	let node
-	while ((node = walker.nextNode())) {
-		if (node.nodeType === Node.TEXT_NODE) {
-			const textNode = /** @type {Text} */ (node)
-			const textContent = textNode.textContent || ''
-			if (textContent.includes(INTERPOLATION_MARKER)) {
-				// Since text nodes are now pre-split, each text node should contain exactly one interpolation marker
-				// Extract the interpolation index from the marker
-				const match = textContent.match(INTERPOLATION_REGEXP)
-				if (match) {
-					const interpolationIndex = parseInt(match[1])
-					textNode.textContent = '' // Clear the text node content; it will be filled during interpolation
-					sites.push({node: textNode, type: /** @type {'text'} */ ('text'), interpolationIndex})
-				}
+		const site = match.textSites.get(clientNode)
+
+		if (site) {
+			const end = findServerTextEnd(serverNodes, index, /** @type {number} */ (site.interpolationIndex))
+
+			if (end < 0) {
+				match.mismatch = `Expected the markers of value ${site.interpolationIndex}, but found ${describeNode(serverNodes[index])}.`
+				return -1
 			}
-		} else if (node.nodeType === Node.ELEMENT_NODE) {
-			const element = /** @type {Element} */ (node)
 
-			// A list of placeholder attributes to remove after finding
-			// interpolation sites (f.e. !foo="" is removed, as it will be set
-			// dynamically later)
-			const attributesToRemove = []
+			match.textRanges.set(site, serverNodes.slice(index, end + 1))
+			index = end + 1
+			continue
+		}
 
-			for (const attr of element.attributes) {
-				const name = attr.name
-				const value = attr.value
+		// Empty static text is not rendered on the server
+		if (clientNode.nodeType === Node.TEXT_NODE && !clientNode.textContent) continue
 
-				// Handle both interpolated and static special attributes, plus regular attributes marked with !
-				if (
-					value.includes(INTERPOLATION_MARKER) ||
-					name.startsWith('?') ||
-					name.startsWith('.') ||
-					name.startsWith('@') ||
-					name.startsWith('!')
-				) {
-					const isStatic = !value.includes(INTERPOLATION_MARKER)
+		const serverNode = serverNodes[index++]
 
-					let parsedParts
-					if (isStatic) parsedParts = [value]
-					// Parse attribute value parts (for interpolated content)
-					else parsedParts = parseInterpolationParts(value.split(INTERPOLATION_REGEXP), false)
+		if (serverNode?.nodeName !== clientNode.nodeName) {
+			match.mismatch = `Expected ${describeNode(clientNode)}, but found ${describeNode(serverNode)}.`
+			return -1
+		}
 
-					// Determine attribute type and restore case for JS properties
-					/** @type {'attribute'|'boolean-attribute'|'property'|'event'} */
-					let type = 'attribute'
-					let processedName = '' // The name without special prefixes
-					let skipEqualityCheck = name.startsWith('!')
-
-					if (name.startsWith('?') || name.startsWith('!?')) {
-						type = 'boolean-attribute'
-						processedName = name.slice(skipEqualityCheck ? 2 : 1) // Extract the name after ? or !?
-					} else if (name.startsWith('.') || name.startsWith('!.')) {
-						type = 'property'
-						const placeholder = name.slice(skipEqualityCheck ? 2 : 1) // Extract the name after . or !.
-						processedName = caseMappings.get(placeholder) || placeholder
-					} else if (name.startsWith('@') || name.startsWith('!@')) {
-						type = 'event'
-						const placeholder = name.slice(skipEqualityCheck ? 2 : 1) // Extract the name after @ or !@
-						processedName = caseMappings.get(placeholder) || placeholder
-					} else {
-						type = 'attribute'
-						processedName = skipEqualityCheck ? name.slice(1) : name // Extract name after ! if present
-						// Ensure static forced attributes are set initially. Basically !foo="bar" acts like foo="bar".
-						if (isStatic && skipEqualityCheck) element.setAttribute(processedName, value)
-					}
+		match.nodes.set(clientNode, serverNode)
 
-					/** @type {InterpolationSite} */
-					const site = {node: element, type, attributeName: processedName, parts: parsedParts, skipEqualityCheck}
+		if (!(clientNode instanceof Element)) continue
 
-					sites.push(site)
+		const serverElement = /** @type {Element} */ (serverNode)
+		const ordinal = match.elementsWithSites.has(clientNode) ? String(match.ordinal++) : null
 
-					// Remove the template attribute, it will be set dynamically later
-					attributesToRemove.push(name)
-				}
-			}
+		if (serverElement.getAttribute(SERVER_ELEMENT_ATTRIBUTE) !== ordinal) {
+			match.mismatch = `The bindings of ${describeNode(clientNode)} don't match its ${SERVER_ELEMENT_ATTRIBUTE} attribute.`
+			return -1
+		}
 
-			for (const name of attributesToRemove) element.removeAttribute(name)
+		if (isRawTextElement(clientNode)) {
+			match.rawTextElements.push([clientNode, serverElement])
+			continue
+		}
+
+		const serverChildren = Array.from(serverElement.childNodes)
+		const end = matchServerNodes(clientNode.childNodes, serverChildren, 0, match, false)
+		if (end < 0) return -1
+
+		if (end < serverChildren.length) {
+			match.mismatch = `Found an extra ${describeNode(serverChildren[end])} in ${describeNode(clientNode)}.`
+			return -1
 		}
 	}
 
-	return sites
+	return skipServerNodes(serverNodes, index, isTopLevel)
 }
 
 /**
- * Check if two arrays are equal
- * @param {any[]} a
- * @param {any[]} b
- * @returns {boolean}
+ * Skip server-rendered nodes that are not part of templates: whitespace around
+ * top-level nodes, and Declarative Shadow DOM templates that were not turned
+ * into shadow roots (f.e. in HTML set with `innerHTML`).
+ * @param {ChildNode[]} serverNodes
+ * @param {number} index
+ * @param {boolean} isTopLevel
+ * @returns {number} The index of the next server node to match.
  */
-function arrayEquals(a, b) {
-	if (!Array.isArray(a) || !Array.isArray(b)) return false
-	if (a.length !== b.length) return false
-	for (let i = 0, l = a.length; i < l; i++) if (a[i] !== b[i]) return false
-	return true
+function skipServerNodes(serverNodes, index, isTopLevel) {
+	while (isDeclarativeShadowRoot(serverNodes[index]) || (isTopLevel && isWhitespaceText(serverNodes[index]))) index++
+	return index
 }
 
 /**
- * Cache for generating stable keys for nested template functions
- * Maps interpolation site -> array of stable keys for each index
- * @type {WeakMap<InterpolationSite, symbol[]>}
+ * @param {Node | undefined} node
+ * @returns {boolean}
  */
-const siteIndexKeys = new WeakMap()
+function isDeclarativeShadowRoot(node) {
+	return node instanceof HTMLTemplateElement && node.hasAttribute('shadowrootmode')
+}
 
 /**
- * Get a stable unique key for a template function at a specific site and index
- * @param {InterpolationSite} site
+ * Find the comment that ends the server-rendered content of a text site, given
+ * the index of the comment that starts it.
+ * @param {ChildNode[]} serverNodes
  * @param {number} index
- * @returns {symbol}
+ * @param {number} interpolationIndex
+ * @returns {number} The index of the end comment, or -1 if not found.
  */
-function getStableNestedKey(site, index) {
-	let indexKeys = siteIndexKeys.get(site)
-	if (!indexKeys) siteIndexKeys.set(site, (indexKeys = []))
-	let key = indexKeys[index]
-	if (!key) indexKeys[index] = key = Symbol('nested-template-key' + index)
-	return key
-}
-
-function interpolateTextSite(/** @type {InterpolationSite} */ site, /** @type {InterpolationValue} */ value) {
-	// Handle force detection and unwrapping
-	const unwrappedValue = handleForceValue(site, value)
-
-	if (!site.skipEqualityCheck && site.lastValue === unwrappedValue) return // No change
-	site.lastValue = unwrappedValue
+function findServerTextEnd(serverNodes, index, interpolationIndex) {
+	const start = serverNodes[index]
+	if (!(start instanceof Comment) || start.data !== `${SERVER_TEXT_START}${interpolationIndex}`) return -1
 
-	// Handle simple text cases first (most common case)
-	if (!(unwrappedValue instanceof Node) && !Array.isArray(unwrappedValue) && typeof unwrappedValue !== 'function') {
-		// Simple text content, just set textContent
-		clearPreviousNodes(site)
-		site.node.textContent = String(unwrappedValue ?? '')
-		site.insertedNodes = undefined
-	} else {
-		// Handle complex cases that produce DOM nodes
-		// Convert single values to arrays for uniform processing
-		const itemsToProcess = Array.isArray(unwrappedValue) ? unwrappedValue : [unwrappedValue]
-
-		const nodes = /** @type {(Element | Text)[]} */ (
-			itemsToProcess
-				.flatMap((item, index) => {
-					// Handle template functions - call them to get their nodes
-					if (typeof item === 'function') {
-						// Each interpolation site gets its own unique identity for nested template functions.
-						// We generate a stable key combining the site identity with the array index to ensure
-						// template functions at the same site but different positions don't share cache entries,
-						// even when using the same mapper function (e.g., html`<ul>${items.map(itemMapper)}</ul>`).
-						const stableKey = getStableNestedKey(site, index)
-						return item(stableKey)
-					}
-					// Handle arrays (already processed template results)
-					// Flatten one level because html functions return arrays
-					if (Array.isArray(item)) return item.flat(1)
-					// Handle single nodes or primitive values
-					return [item]
-				})
-				.map(item => {
-					if (item instanceof Node) return /** @type {Element | Text} */ (item)
-					if (item != null && item !== '') return new Text(String(item))
-					return null
-				})
-				.filter(Boolean)
-		)
+	// Text sites of nested templates have markers too
+	let depth = 0
 
-		// TODO array reconciliation for better performance on large lists. For now, if any one item changes, we re-insert all nodes.
-		if (!site.skipEqualityCheck && site.insertedNodes && arrayEquals(site.insertedNodes, nodes)) return // No change
-		insertNodesAndUpdateSite(site, nodes)
+	for (let i = index + 1; i < serverNodes.length; i++) {
+		const node = serverNodes[i]
+		if (!(node instanceof Comment)) continue
+		if (node.data.startsWith(SERVER_TEXT_START)) depth++
+		else if (node.data === SERVER_TEXT_END && depth-- === 0) return i
 	}
+
+	return -1
 }
 
 /**
- * Helper function to insert nodes and update site state
+ * Make the server-rendered content of a text site the site's content, and
+ * remove the markers around it. A single text node becomes the site's node,
+ * otherwise the content is left for nested templates to adopt.
  * @param {InterpolationSite} site
- * @param {(Element | Text)[]} nodes
+ * @param {ChildNode[]} range The start marker, the content, and the end marker.
  */
-function insertNodesAndUpdateSite(site, nodes) {
-	clearPreviousNodes(site)
+function adoptServerText(site, range) {
+	const content = range.slice(1, -1)
 
-	if (nodes.length > 0) {
-		// Insert all nodes before the text node
-		for (const node of nodes) site.node.parentNode?.insertBefore(node, site.node)
-		site.node.textContent = '' // Hide the text node
-		site.insertedNodes = [...nodes]
-	} else {
-		// No nodes to insert - set empty text content
-		site.node.textContent = ''
-		site.insertedNodes = undefined
+	range[0].remove()
+
+	if (content.length === 1 && content[0] instanceof Text) {
+		range[range.length - 1].remove()
+		site.node = content[0]
+		return
+	}
+
+	const anchor = new Text()
+	range[range.length - 1].replaceWith(anchor)
+	site.node = anchor
+
+	if (content.length) {
+		site.insertedNodes = /** @type {(Element | Text)[]} */ (content)
+		site.serverNodes = [...content]
 	}
 }
 
 /**
- * Helper function to clear previously inserted nodes
+ * Apply values to a site for the first time after adopting server-rendered
+ * nodes. Nested templates adopt the site's server-rendered nodes, and in dev
+ * mode, values that differ from what the server rendered are reported.
  * @param {InterpolationSite} site
+ * @param {InterpolationValue[]} values
  */
-function clearPreviousNodes(site) {
-	if (site.insertedNodes) for (const node of site.insertedNodes) node.remove()
+function hydrateSite(site, values) {
+	const serverText = config.dev ? getRenderedText(site) : undefined
+	const serverHasNodes = !!site.insertedNodes
+	const outerNodes = hydratingNodes
+	hydratingNodes = site.serverNodes
+	site.serverNodes = undefined
+
+	try {
+		applySiteValues(site, values)
+	} finally {
+		hydratingNodes = outerNodes
+	}
+
+	// Nested templates are compared when their nodes are adopted
+	if (serverText === undefined || (serverHasNodes && site.insertedNodes)) return
+
+	const clientText = getRenderedText(site)
+
+	if (clientText !== serverText)
+		console.warn(
+			`Hydration mismatch in ${describeSite(site)}: the server rendered ${JSON.stringify(serverText)}, but the client rendered ${JSON.stringify(clientText)}.`,
+		)
 }
 
 /**
- * Holds information about a template instance's nodes and interpolation sites.
+ * Get the text that a site rendered, for comparing server and client values,
+ * or undefined for sites that can't be compared as text.
+ * @param {InterpolationSite} site
+ * @returns {string | undefined}
  */
-class TemplateInstance {
-	nodes
-	sites
+function getRenderedText(site) {
+	const {node, attributeName = ''} = site
 
-	/**
-	 * @param {TemplateNodes} nodes The cloned nodes for this template instance
-	 * @param {InterpolationSite[]} sites The interpolation sites in the template
-	 */
-	constructor(nodes, sites) {
-		this.nodes = nodes
-		this.sites = sites
+	if (site.type === 'text') {
+		// Text in raw text elements is rendered again.
+		if (node.parentElement && isRawTextElement(node.parentElement)) return undefined
+		// Nodes are described by their markup, to report nodes where text was expected, or the other way round.
+		if (site.insertedNodes)
+			return site.insertedNodes.map(node => (node instanceof Element ? node.outerHTML : node.textContent)).join('')
+		return node.textContent ?? ''
 	}
 
-	/**
-	 * Apply values to interpolation sites
-	 * @param {InterpolationValue[]} values
-	 */
-	applyValues(values) {
-		const sites = this.sites
-
-		for (const site of sites) {
-			if (site.type === 'text') {
-				// With pre-split text nodes, each text site corresponds to exactly one interpolation
-				const value = values[/** @type {number} */ (site.interpolationIndex)]
-				interpolateTextSite(site, value)
-			} else if (site.type === 'attribute') {
-				const element = /** @type {Element} */ (site.node)
-				const parts = site.parts || []
-
-				// Handle force detection and unwrapping for attribute values
-				// Check each interpolated value and handle force detection
-				const attributeValues = parts
-					.filter(part => typeof part === 'number')
-					.map(part => {
-						const value = values[part]
-						if (isForceWrapped(value)) {
-							if (!site.requiresUnwrapping) {
-								site.skipEqualityCheck = true
-								site.requiresUnwrapping = true
-							}
-							return unwrapForce(value)
-						} else if (site.requiresUnwrapping) {
-							throw new Error(
-								'Value must be wrapped with force() for this interpolation site. Once force() is used at a site, it must always be used.',
-							)
-						}
-						return value
-					})
-
-				if (!site.skipEqualityCheck && arrayEquals(/** @type {unknown[]} */ (site.lastValue), attributeValues)) continue // No change
-
-				// Check if any attribute value would produce DOM nodes - not allowed in attributes
-				if (
-					attributeValues.some(value => value instanceof Node || Array.isArray(value) || typeof value === 'function')
-				) {
-					throw new Error(
-						'Nested templates and DOM elements are not allowed in attributes. Use text content interpolation instead.',
-					)
-				}
+	const element = /** @type {Element} */ (node)
 
-				// Create values array with unwrapped values for string joining
-				const processedValues = [...values]
-				let attributeValueIndex = 0
-				for (const part of parts)
-					if (typeof part === 'number') processedValues[part] = attributeValues[attributeValueIndex++]
-
-				const newAttributeValue = joinPartsWithValues(parts, processedValues)
-				element.setAttribute(site.attributeName || '', newAttributeValue)
-				site.lastValue = attributeValues
-			} else if (site.type === 'boolean-attribute') {
-				const element = /** @type {Element} */ (site.node)
-				const parts = site.parts || []
-
-				let setAttribute = false
-				// Pure interpolation - pattern is ['', number, '']
-				if (parts.length === 3 && parts[0] === '' && parts[2] === '' && typeof parts[1] === 'number')
-					setAttribute = !!handleForceValue(site, values[parts[1]])
-				// Static content - single string part
-				else if (parts.length === 1 && typeof parts[0] === 'string') setAttribute = parts[0].trim() !== ''
-				// Mixed content - always truthy (has both static and dynamic parts)
-				else setAttribute = true
-
-				if (!site.skipEqualityCheck && site.lastValue === setAttribute) continue // No change
-
-				if (setAttribute) element.setAttribute(site.attributeName || '', '')
-				else element.removeAttribute(site.attributeName || '')
-
-				site.lastValue = setAttribute
-			} else if (site.type === 'property') {
-				const element = /** @type {Element} */ (site.node)
-				const parts = site.parts || []
-
-				let propValue
-				// Pure interpolation - pattern is ['', number, '']
-				if (parts.length === 3 && parts[0] === '' && parts[2] === '' && typeof parts[1] === 'number')
-					propValue = handleForceValue(site, values[parts[1]])
-				// Mixed content or static content
-				else {
-					// For mixed content, we need to handle force for each interpolated part
-					const processedValues = [...values]
-					for (const part of parts)
-						if (typeof part === 'number') processedValues[part] = handleForceValue(site, values[part])
-					propValue = joinPartsWithValues(parts, processedValues)
-				}
+	// Style attributes are serialized again by the browser when style maps are applied.
+	if (site.type === 'attribute' && attributeName !== 'style') return element.getAttribute(attributeName) ?? ''
+	if (site.type === 'boolean-attribute') return String(element.hasAttribute(attributeName))
+	return undefined
+}
 
-				if (!site.skipEqualityCheck && site.lastValue === propValue) continue // No change
-
-				const propName = site.attributeName || ''
-				const anyElement = /** @type {any} */ (element)
-				anyElement[propName] = propValue
-				site.lastValue = propValue
-			} else if (site.type === 'event') {
-				const element = /** @type {Element} */ (site.node)
-				const parts = site.parts || []
-				const eventName = site.attributeName || ''
-
-				// Determine the current handler value for comparison
-				let inputValue
-				if (parts.length === 3 && parts[0] === '' && parts[2] === '' && typeof parts[1] === 'number')
-					inputValue = handleForceValue(site, values[parts[1]])
-				else {
-					// For mixed content, handle force for each interpolated part
-					const processedValues = [...values]
-					for (const part of parts)
-						if (typeof part === 'number') processedValues[part] = handleForceValue(site, values[part])
-					inputValue = joinPartsWithValues(parts, processedValues)
-				}
+/**
+ * @param {Node | undefined} node
+ * @returns {boolean}
+ */
+function isWhitespaceText(node) {
+	return node instanceof Text && !node.data.trim()
+}
 
-				// Only update event handler if it has changed
-				if (!site.skipEqualityCheck && site.lastValue === inputValue) continue // No change
-
-				// Determine the actual event listener to use
-				let eventListener
-				// Pure interpolation - pattern is ['', number, '']
-				if (parts.length === 3 && parts[0] === '' && parts[2] === '' && typeof parts[1] === 'number') {
-					// Pure interpolation
-					if (typeof inputValue === 'function') eventListener = inputValue
-					else if (typeof inputValue === 'string')
-						eventListener = /** @type {EventListener} */ (new Function('event', inputValue))
-					else if (inputValue == null || inputValue === '' || inputValue === false) eventListener = null
-					else throw new TypeError(`Event handler for ${eventName} must be a function or string`)
-				} else {
-					// Mixed content - treat as code string
-					const handlerCode = joinPartsWithValues(parts, values)
-					if (handlerCode.trim() === '') eventListener = null
-					else eventListener = /** @type {EventListener} */ (new Function('event', handlerCode))
-				}
+/**
+ * Check if an element is an HTML element whose content is raw text.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isRawTextElement(element) {
+	return element.namespaceURI === HTML_NAMESPACE && RAW_TEXT_ELEMENTS.includes(element.localName)
+}
 
-				// Optimized event handler management
-				if (eventListener) {
-					// We have a valid event listener
-					if (!site.internalHandler) {
-						// Create a stable wrapper function that calls the current handler
-						site.internalHandler = /** @type {EventListener} */ (event => site.currentEventListener?.(event))
-						element.addEventListener(eventName, site.internalHandler)
-					}
-					// Update the current handler reference (no DOM manipulation needed)
-					site.currentEventListener = /** @type {EventListener} */ (eventListener)
-				} else {
-					// We have a falsy event listener, remove the internal handler if it exists
-					if (site.internalHandler) {
-						element.removeEventListener(eventName, site.internalHandler)
-						site.internalHandler = undefined
-						site.currentEventListener = undefined
-					}
-				}
+/**
+ * Describe a node for hydration mismatch messages.
+ * @param {Node | undefined} node
+ * @returns {string}
+ */
+function describeNode(node) {
+	if (!node) return 'nothing'
+	if (node instanceof Element) return `<${node.localName}>`
+	if (node instanceof Text) return `text ${JSON.stringify(node.data)}`
+	return 'a comment'
+}
 
-				site.lastValue = inputValue
-			}
-		}
-	}
+/**
+ * Describe a site for hydration mismatch messages.
+ * @param {InterpolationSite} site
+ * @returns {string}
+ */
+function describeSite(site) {
+	if (site.type === 'text') return `the text of ${describeNode(site.node.parentElement ?? undefined)}`
+	return `the ${site.attributeName} attribute of ${describeNode(site.node)}`
 }
 
 /** @typedef {readonly (Element | Text)[]} TemplateNodes */
@@ -847,17 +3956,190 @@ class TemplateInstance {
  *
  * @typedef {{
  *   node: Element | Text,
- *   type: 'text'|'attribute'|'event'|'boolean-attribute'|'property',
+ *   type: 'text'|'attribute'|'event'|'boolean-attribute'|'property'|'ref'|'spread'|'element',
  *   attributeName?: string,
  *   parts?: Array<string | number>,
  *   interpolationIndex?: number,
  *   insertedNodes?: (Element | Text)[],
+ *   repeatKeys?: Map<unknown, symbol>,
  *   lastValue?: unknown,
  *   internalHandler?: EventListener,
- *   currentEventListener?: EventListener,
+ *   currentEventListener?: EventListenerOrEventListenerObject,
  *   skipEqualityCheck?: boolean,
- *   requiresUnwrapping?: boolean
+ *   requiresUnwrapping?: boolean,
+ *   directive?: Directive,
+ *   part?: Part,
+ *   spreadSites?: Map<string, InterpolationSite>,
+ *   eventTargetName?: 'window' | 'document',
+ *   eventModifiers?: Set<string>,
+ *   listenerOptions?: AddEventListenerOptions,
+ *   delegated?: boolean,
+ *   classTokens?: Set<string>,
+ *   styleProperties?: Set<string>,
+ *   initialValue?: unknown,
+ *   serverNodes?: ChildNode[],
+ *   templateStrings?: TemplateStringsArray,
+ *   cleanup?: () => void
  * }} InterpolationSite
  */
 
 /** @typedef { 'html' | 'svg' | 'mathml'} TemplateMode */
+
+/**
+ * The state of matching the nodes of a template to server-rendered nodes.
+ *
+ * @typedef {{
+ *   textSites: Map<Node, InterpolationSite>,
+ *   elementsWithSites: Set<Node>,
+ *   nodes: Map<Node, ChildNode>,
+ *   textRanges: Map<InterpolationSite, ChildNode[]>,
+ *   rawTextElements: [Element, Element][],
+ *   ordinal: number,
+ *   mismatch: string
+ * }} HydrationMatch
+ */
+
+/**
+ * What a template tag was called with, recorded for each template function.
+ *
+ * @typedef {{
+ *   mode: TemplateMode,
+ *   strings: TemplateStringsArray,
+ *   values: InterpolationValue[]
+ * }} TemplateResult
+ */
+
+/**
+ * A binding attribute of an element in server-rendered HTML.
+ *
+ * @typedef {{name: string, parts: (string | number)[]}} ServerAttribute
+ */
+
+/**
+ * A chunk of a compiled server template: static HTML, a text site, a value
+ * inside a raw text element, the binding attributes of an element, or the
+ * place for the shadow root of a custom element.
+ *
+ * @typedef {string
+ *   | {type: 'text', index: number}
+ *   | {type: 'raw-text', index: number, element: string}
+ *   | {type: 'attributes', attributes: ServerAttribute[], ordinal: number, element: string}
+ *   | {type: 'shadow-root', element: string, attributes: ServerAttribute[]}
+ * } ServerChunk
+ */
+
+/**
+ * Options for rendering to a string or stream.
+ *
+ * @typedef {{
+ *   elements?: Record<string, (props: Record<string, unknown>) => InterpolationValue>
+ * }} ServerRenderOptions
+ */
+
+/**
+ * The state of one rendering to a string or stream.
+ *
+ * @typedef {{
+ *   awaitPromises: boolean,
+ *   elements: Record<string, (props: Record<string, unknown>) => InterpolationValue>
+ * }} ServerRenderContext
+ */
+
+/**
+ * A directive instance, created by a directive class for each site the
+ * directive is used in.
+ *
+ * @typedef {{
+ *   update(part: Part, values: any[]): InterpolationValue,
+ *   disconnect?(): void
+ * }} Directive
+ */
+
+/**
+ * A directive class. The optional static `render()` method returns the value
+ * to render for the directive's values when rendering to a string.
+ *
+ * @typedef {(new (part: Part) => Directive) & {render?(...values: any[]): InterpolationValue}} DirectiveClass
+ */
+
+/**
+ * The values a directive function accepts, as received by the directive's `update()`.
+ *
+ * @template {DirectiveClass} C
+ * @typedef {Parameters<InstanceType<C>['update']> extends [any, infer V extends any[], ...any[]] ? V : []} DirectiveValues
+ */
+
+/**
+ * The value returned by a directive function, to be interpolated into a site.
+ *
+ * @typedef {{[DIRECTIVE_SYMBOL]: {DirectiveClass: DirectiveClass, values: any[]}}} DirectiveResult
+ */
+
+/**
+ * A signal that can be interpolated into a site: a TC39 `Signal.State` or
+ * `Signal.Computed`, or any object with `get()` and `subscribe()` methods.
+ *
+ * @typedef {{get(): unknown}} SignalLike
+ */
+
+/**
+ * A signal with a `subscribe()` method that calls the callback whenever the
+ * signal's value changes, and returns a function (or an object with an
+ * `unsubscribe()` method) that stops the subscription.
+ *
+ * @typedef {SignalLike & {
+ *   subscribe(callback: () => void): (() => void) | {unsubscribe(): void} | undefined
+ * }} SubscribableSignal
+ */
+
+/**
+ * Module-wide settings.
+ *
+ * @typedef {{
+ *   delegateEvents: boolean,
+ *   dev: boolean,
+ *   strict: boolean,
+ *   trustedTypesPolicyName: string,
+ *   urlSchemes: string[]
+ * }} Config
+ */
+
+/** @typedef {typeof LISTENER_OPTIONS[number]} ListenerOption */
+
+/**
+ * An object whose `current` property a `ref=${...}` binding sets to its element.
+ *
+ * @template {Element} [T=Element]
+ * @typedef {{current: T | null}} RefObject
+ */
+
+/**
+ * Connects `htmlEffect()` to a reactivity library. `effect(fn)` must run `fn`
+ * synchronously, track the reactive dependencies it reads, run it again when
+ * they change, and return a function that stops the effect.
+ *
+ * @typedef {{effect(fn: () => void): () => void}} ReactivityAdapter
+ */
+
+/**
+ * Options of `unsafeHTML()` and `unsafeSVG()`.
+ *
+ * @typedef {{sanitizer?: unknown}} UnsafeMarkupOptions
+ */
+
+/**
+ * A value that becomes part of a template's markup, from `literal` or
+ * `unsafeStatic()`.
+ *
+ * @typedef {{[STATIC_SYMBOL]: string}} StaticValue
+ */
+
+/**
+ * The arguments given to `repeat()`.
+ *
+ * @typedef {{
+ *   items: Iterable<any>,
+ *   keyFn: (item: any, index: number) => unknown,
+ *   templateFn: (item: any, index: number) => InterpolationValue
+ * }} RepeatOptions
+ */
@@ -0,0 +1,245 @@
+import {html, asyncAppend, asyncReplace, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/** Wait for pending promise callbacks to run. */
+function settle() {
+	return new Promise(resolve => setTimeout(resolve))
+}
+
+/**
+ * Run `fn`, and return the reasons of the promise rejections that were not
+ * handled meanwhile.
+ * @param {() => Promise<void>} fn
+ */
+async function getUnhandledRejections(fn) {
+	/** @type {unknown[]} */
+	const reasons = []
+	const onUnhandled = (/** @type {PromiseRejectionEvent} */ event) => reasons.push(event.reason)
+	globalThis.addEventListener('unhandledrejection', onUnhandled)
+
+	try {
+		await fn()
+		await settle()
+	} finally {
+		globalThis.removeEventListener('unhandledrejection', onUnhandled)
+	}
+
+	return reasons
+}
+
+/**
+ * An async iterable whose values are pushed manually, and that records whether
+ * iteration was stopped.
+ */
+function channel() {
+	/** @type {unknown[]} */
+	const queue = []
+	/** @type {((result: IteratorResult<unknown>) => void) | undefined} */
+	let pending
+	let stopped = false
+
+	return {
+		get stopped() {
+			return stopped
+		},
+
+		/** @param {unknown} value */
+		push(value) {
+			if (pending) {
+				pending({done: false, value})
+				pending = undefined
+			} else queue.push(value)
+		},
+
+		/** @returns {AsyncIterator<unknown>} */
+		[Symbol.asyncIterator]() {
+			return {
+				next() {
+					if (queue.length) return Promise.resolve({done: false, value: queue.shift()})
+					return new Promise(resolve => (pending = resolve))
+				},
+				async return() {
+					stopped = true
+					pending?.({done: true, value: undefined})
+					return {done: true, value: undefined}
+				},
+			}
+		},
+	}
+}
+
+describe('async iterable interpolation', () => {
+	it('replaces the content with each value by default', async () => {
+		const stream = channel()
+		const [p] = /** @type {[HTMLParagraphElement]} */ (html`<p>${stream}</p>`(Symbol()))
+
+		stream.push('one')
+		await settle()
+		assertEquals(p.textContent, 'one', 'First value should render')
+
+		stream.push('two')
+		await settle()
+		assertEquals(p.textContent, 'two', 'Second value should replace the first')
+	})
+
+	it('appends each value with asyncAppend()', async () => {
+		const stream = channel()
+		const [pre] = /** @type {[HTMLPreElement]} */ (html`<pre>${asyncAppend(stream)}</pre>`(Symbol()))
+
+		stream.push('a')
+		await settle()
+		const firstNode = pre.firstChild
+
+		stream.push(html`<b>b</b>`)
+		stream.push('c')
+		await settle()
+
+		assertEquals(pre.innerHTML, 'a<b>b</b>c', 'Values should be appended')
+		assertTrue(pre.firstChild === firstNode, 'Previously appended nodes should be kept')
+	})
+
+	it('inserts only the new nodes of each appended value, and removes them all when the site is replaced', async () => {
+		const stream = channel()
+		/** @type {unknown} */
+		let value = asyncAppend(stream)
+		const key = Symbol()
+		const template = () => /** @type {[HTMLPreElement]} */ (html`<pre>${value}</pre>`(key))
+		const [pre] = template()
+
+		/** @type {Node[]} */
+		const inserted = []
+		const observer = new MutationObserver(records => {
+			for (const record of records) inserted.push(...record.addedNodes)
+		})
+		observer.observe(pre, {childList: true})
+
+		for (let i = 0; i < 100; i++) stream.push(`${i} `)
+		await settle()
+		observer.disconnect()
+
+		assertEquals(inserted.length, 100, 'Each chunk should be inserted once')
+		assertTrue(pre.textContent?.startsWith('0 1 2 ') && pre.textContent.endsWith(' 99 '), 'Chunks should be in order')
+
+		value = 'done'
+		template()
+		assertEquals(pre.textContent, 'done', 'All appended nodes should be removed')
+	})
+
+	it('keeps the rendered values when an async iterable throws', async () => {
+		const values = (async function* () {
+			yield 'before'
+			throw new Error('stream failed')
+		})()
+		const [p] = /** @type {[HTMLParagraphElement]} */ (html`<p>${asyncAppend(values)}</p>`(Symbol()))
+
+		const unhandled = await getUnhandledRejections(settle)
+		assertEquals(p.textContent, 'before', 'Values before the error should stay')
+		assertEquals(unhandled.length, 0, 'The error should be handled')
+	})
+
+	it('ignores errors when stopping an async iterable', async () => {
+		let stopped = false
+		const values = {
+			[Symbol.asyncIterator]: () => ({
+				next: () => new Promise(() => {}),
+				return: () => ((stopped = true), Promise.reject(new Error('return failed'))),
+			}),
+		}
+		const key = Symbol()
+		html`<p>${values}</p>`(key)
+
+		const unhandled = await getUnhandledRejections(async () => dispose(key))
+		assertTrue(stopped, 'Iteration should be stopped')
+		assertEquals(unhandled.length, 0, 'The error should be handled')
+	})
+
+	it('maps values with asyncReplace() and a mapper', async () => {
+		const stream = channel()
+		const [p] = /** @type {[HTMLParagraphElement]} */ (
+			html`<p>${asyncReplace(stream, (value, index) => `${index}: ${value}`)}</p>`(Symbol())
+		)
+
+		stream.push('first')
+		await settle()
+		assertEquals(p.textContent, '0: first', 'Mapped value should render')
+	})
+
+	it('works with attribute sites with asyncReplace()', async () => {
+		const stream = channel()
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div title=${asyncReplace(stream)}></div>`(Symbol()))
+
+		stream.push('title')
+		await settle()
+		assertEquals(div.getAttribute('title'), 'title', 'Attribute should be set')
+	})
+
+	it('passes async iterables to property sites as is', () => {
+		const stream = new ReadableStream()
+		const [div] = /** @type {[any]} */ (html`<div .stream=${stream}></div>`(Symbol()))
+
+		assertTrue(div.stream === stream, 'The property should be the stream')
+		assertTrue(!stream.locked, 'The stream should not be read')
+	})
+
+	it('renders ReadableStream chunks', async () => {
+		const stream = new ReadableStream({
+			start(controller) {
+				controller.enqueue('line 1\n')
+				controller.enqueue('line 2\n')
+				controller.close()
+			},
+		})
+
+		const [pre] = /** @type {[HTMLPreElement]} */ (html`<pre>${asyncAppend(stream)}</pre>`(Symbol()))
+
+		await settle()
+		assertEquals(pre.textContent, 'line 1\nline 2\n', 'Chunks should be appended')
+	})
+
+	it('stops iterating when the site receives another value', async () => {
+		const stream = channel()
+		/** @type {unknown} */
+		let value = stream
+		const key = Symbol()
+		const template = () => /** @type {[HTMLParagraphElement]} */ (html`<p>${value}</p>`(key))
+
+		const [p] = template()
+		stream.push('streamed')
+		await settle()
+
+		value = 'plain'
+		template()
+		assertTrue(stream.stopped, 'Iteration should be stopped')
+
+		stream.push('late')
+		await settle()
+		assertEquals(p.textContent, 'plain', 'Values after stopping should not render')
+	})
+
+	it('stops iterating when the template instance is disposed', () => {
+		const stream = channel()
+		const key = Symbol()
+		html`<p>${asyncAppend(stream)}</p>`(key)
+
+		dispose(key)
+
+		assertTrue(stream.stopped, 'Iteration should be stopped')
+	})
+})
@@ -0,0 +1,135 @@
+import {html} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+describe('class maps', () => {
+	it('toggles class tokens from an object', () => {
+		let classes = {active: true, disabled: false, 'big bold': true}
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div class=${classes}></div>`(key))
+
+		const [div] = template()
+		assertEquals(div.className, 'active big bold', 'Truthy keys should be added')
+
+		classes = {active: false, disabled: true, 'big bold': true}
+		template()
+		assertEquals(div.className, 'big bold disabled', 'Tokens should be toggled')
+	})
+
+	it('adds class tokens from an array', () => {
+		let classes = ['a', false, 'b', null]
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div class=${classes}></div>`(key))
+
+		const [div] = template()
+		assertEquals(div.className, 'a b', 'Truthy items should be added')
+
+		classes = ['b']
+		template()
+		assertEquals(div.className, 'b', 'Missing items should be removed')
+	})
+
+	it('leaves tokens added by other code alone', () => {
+		let classes = {a: true}
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div class=${classes}></div>`(key))
+
+		const [div] = template()
+		div.classList.add('external')
+
+		classes = {a: false}
+		template()
+		assertTrue(div.classList.contains('external'), 'External tokens should be kept')
+		assertTrue(!div.classList.contains('a'), 'Removed token should be removed')
+	})
+
+	it('still sets the whole attribute for plain values', () => {
+		/** @type {unknown} */
+		let classes = {a: true}
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div class=${classes}></div>`(key))
+
+		const [div] = template()
+
+		classes = 'plain'
+		template()
+		assertEquals(div.className, 'plain', 'String should replace the attribute')
+
+		classes = {b: true}
+		template()
+		assertEquals(div.className, 'b', 'Object should replace the tokens of the string')
+
+		classes = 'other plain'
+		template()
+		classes = {plain: true}
+		template()
+		assertEquals(div.className, 'plain', 'Only the tokens that are not in the object should be removed')
+	})
+})
+
+describe('style maps', () => {
+	it('sets style properties from an object', () => {
+		const [div] = /** @type {[HTMLDivElement]} */ (
+			html`<div style=${{backgroundColor: 'red', 'font-size': '12px', '--main-color': 'blue'}}></div>`(Symbol())
+		)
+
+		assertEquals(div.style.backgroundColor, 'red', 'camelCase property should be set')
+		assertEquals(div.style.fontSize, '12px', 'dash-case property should be set')
+		assertEquals(div.style.getPropertyValue('--main-color'), 'blue', 'Custom property should be set')
+	})
+
+	it('sets important priority', () => {
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div style=${{color: 'red !important'}}></div>`(Symbol()))
+
+		assertEquals(div.style.getPropertyValue('color'), 'red', 'Value should be set')
+		assertEquals(div.style.getPropertyPriority('color'), 'important', 'Priority should be set')
+	})
+
+	it('removes properties that are missing or nullish, and leaves other properties alone', () => {
+		/** @type {Record<string, unknown>} */
+		let styles = {color: 'red', width: '10px'}
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div style=${styles}></div>`(key))
+
+		const [div] = template()
+		div.style.setProperty('height', '5px')
+
+		styles = {color: null}
+		template()
+
+		assertEquals(div.style.color, '', 'Nullish property should be removed')
+		assertEquals(div.style.width, '', 'Missing property should be removed')
+		assertEquals(div.style.height, '5px', 'External property should be kept')
+	})
+
+	it('replaces the properties of a plain string with an object', () => {
+		/** @type {unknown} */
+		let styles = 'color: red; width: 10px'
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div style=${styles}></div>`(key))
+
+		const [div] = template()
+
+		styles = {width: '20px'}
+		template()
+
+		assertEquals(div.style.color, '', 'Properties of the string should be removed')
+		assertEquals(div.style.width, '20px', 'Properties of the object should be set')
+	})
+})
@@ -0,0 +1,137 @@
+import {html, repeat, renderToString, hydrate} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * @param {() => void} fn
+ */
+function getError(fn) {
+	try {
+		fn()
+	} catch (error) {
+		return error
+	}
+	return undefined
+}
+
+/**
+ * The text of the cells in an element, separated by spaces.
+ * @param {Element} element
+ */
+function cellText(element) {
+	return [...element.querySelectorAll('td')].map(cell => cell.textContent).join(' ')
+}
+
+describe('Text sites in tables and selects', () => {
+	it('renders rows in a tbody, and updates them', () => {
+		const key = Symbol()
+		const row = (/** @type {string} */ name) =>
+			html`<tr>
+				<td>${name}</td>
+			</tr>`
+		const template = (/** @type {string[]} */ names) =>
+			html`<table>
+				<tbody>
+					${repeat(names, name => name, row)}
+				</tbody>
+			</table>`
+
+		const [table] = /** @type {HTMLTableElement[]} */ (template(['a', 'b'])(key))
+		const tbody = /** @type {HTMLTableSectionElement} */ (table.querySelector('tbody'))
+
+		assertEquals(table.children.length, 1, 'Nothing should be moved out of the table')
+		assertEquals(tbody.children.length, 2, 'The rows should be in the tbody')
+		assertEquals(cellText(tbody), 'a b', 'The rows should be rendered in order')
+
+		template(['b', 'c', 'a'])(key)
+		assertEquals(cellText(tbody), 'b c a', 'The rows should be updated in place')
+	})
+
+	it('renders rows and cells directly in tables and rows', () => {
+		const [table] = /** @type {HTMLTableElement[]} */ (
+			html`<table>
+				${html`<tr>
+					${'text'}${html`<td>cell</td>`}
+				</tr>`}
+			</table>`(Symbol())
+		)
+
+		assertEquals(table.rows.length, 1, 'The row should be in the table')
+		assertEquals(table.rows[0].cells.length, 1, 'The cell should be in the row')
+	})
+
+	it('renders options in a select', () => {
+		const options = ['a', 'b'].map(value => html`<option value=${value}>${value.toUpperCase()}</option>`)
+		const [select] = /** @type {HTMLSelectElement[]} */ (
+			html`<select>
+				${options}
+			</select>`(Symbol())
+		)
+
+		assertEquals(select.options.length, 2, 'The options should be in the select')
+		assertEquals(select.options[1].textContent, 'B', 'The option text should be rendered')
+	})
+
+	it('keeps interpolations in raw text elements as text', () => {
+		const [textarea, style] = /** @type {HTMLElement[]} */ (
+			html`<textarea>${'<b>'}</textarea
+				><style>
+					p::after {
+						content: '${'x'}';
+					}
+				</style>`(Symbol())
+		)
+
+		assertEquals(textarea.textContent, '<b>', 'Textarea text should be rendered')
+		assertTrue(style.textContent?.includes("content: 'x';"), 'Style text should be rendered')
+	})
+
+	it('hydrates server-rendered rows', () => {
+		const template = () =>
+			html`<table>
+				<tbody>
+					${['a', 'b'].map(
+						name =>
+							html`<tr>
+								<td>${name}</td>
+							</tr>`,
+					)}
+				</tbody>
+			</table>`
+		const container = document.createElement('div')
+		container.innerHTML = renderToString(template())
+		const serverRows = [...container.querySelectorAll('tr')]
+
+		hydrate(template(), container)
+
+		const rows = [...container.querySelectorAll('tr')]
+		assertEquals(rows.length, 2, 'No rows should be added')
+		assertTrue(rows[0] === serverRows[0] && rows[1] === serverRows[1], 'The server-rendered rows should be adopted')
+	})
+
+	it('still rejects interpolations that are the whole content of a comment, like on the server', () => {
+		const template = () => html`<div><!--${'x'}--></div>`
+
+		const error = getError(() => template()(Symbol()))
+		assertTrue(error instanceof Error && error.message.includes('comments'), 'Comments should throw')
+
+		const serverError = getError(() => renderToString(template()))
+		assertTrue(serverError instanceof Error && serverError.message.includes('comments'), 'Also on the server')
+	})
+})
@@ -0,0 +1,101 @@
+import {html, hydrate, renderToString} from '../html.js'
+import {Base} from '../examples/custom-elements/Base.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * The template of a greeting element, shared by the element and the server.
+ * @param {{name?: unknown, excited?: unknown, onGreet?: () => void}} props
+ */
+const greetingTemplate = ({name, excited, onGreet}) =>
+	html`<button @click=${onGreet}>Hello ${name}${excited ? '!' : '.'}</button>`
+
+describe('Declarative Shadow DOM', () => {
+	it('renders shadow roots of custom elements with the elements option', () => {
+		const result = renderToString(
+			html`<greeting-card name="Ann" ?excited=${true} .count=${1} @greet=${() => {}}><p>Light</p></greeting-card>`,
+			{elements: {'greeting-card': props => html`<i>${JSON.stringify(props)}</i>`}},
+		)
+
+		assertEquals(
+			result,
+			'<greeting-card name="Ann" excited data-nh="0"><template shadowrootmode="open">' +
+				'<i><!--nh:0-->{&quot;name&quot;:&quot;Ann&quot;,&quot;excited&quot;:true,&quot;count&quot;:1}<!--/nh--></i>' +
+				'</template><p>Light</p></greeting-card>',
+			'The shadow root should be rendered first, from the props of the element',
+		)
+	})
+
+	it('leaves custom elements without a renderer as is', () => {
+		assertEquals(
+			renderToString(html`<other-element></other-element>`),
+			'<other-element></other-element>',
+			'Nothing should be added',
+		)
+	})
+
+	it('lets a Base element hydrate its existing shadow root', async () => {
+		const tagName = 'greeting-card-' + Math.random().toString(36).slice(2)
+		let greetings = 0
+
+		// A server-rendered element that was parsed before its class is defined
+		const element = document.createElement(tagName)
+		const shadowRoot = element.attachShadow({mode: 'open'})
+		shadowRoot.innerHTML = renderToString(greetingTemplate({name: 'Ann'}))
+		const serverButton = shadowRoot.querySelector('button')
+
+		customElements.define(
+			tagName,
+			class extends Base {
+				name = 'Ann'
+				excited = false
+				onGreet = () => greetings++
+
+				template() {
+					return greetingTemplate(this)
+				}
+			},
+		)
+		document.body.append(element) // upgrade
+
+		try {
+			await Promise.resolve()
+
+			const buttons = shadowRoot.querySelectorAll('button')
+			assertEquals(buttons.length, 1, 'A second copy should not be appended')
+			assertTrue(buttons[0] === serverButton, 'The server-rendered button should be adopted')
+
+			buttons[0].click()
+			assertEquals(greetings, 1, 'The event listener should be attached')
+		} finally {
+			element.remove()
+		}
+	})
+
+	it('skips shadow root templates that were not attached when hydrating a page', () => {
+		const template = () => html`<greeting-card name=${'Ann'}><p>Light</p></greeting-card>`
+		const container = document.createElement('div')
+		container.innerHTML = renderToString(template(), {elements: {'greeting-card': greetingTemplate}})
+		const card = container.firstChild
+
+		hydrate(template(), container)
+
+		assertTrue(container.firstChild === card, 'The element should be adopted')
+	})
+})
@@ -0,0 +1,173 @@
+import {html, configure, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * Count the listeners added to any node while `fn` runs.
+ * @param {() => void} fn
+ */
+function countListeners(fn) {
+	let count = 0
+	const proto = /** @type {any} */ (Node.prototype)
+	const {addEventListener} = proto
+
+	/**
+	 * @this {EventTarget}
+	 * @param {any[]} args
+	 */
+	proto.addEventListener = function (...args) {
+		count++
+		return addEventListener.apply(this, args)
+	}
+
+	try {
+		fn()
+	} finally {
+		delete proto.addEventListener
+	}
+
+	return count
+}
+
+describe('delegated events', () => {
+	beforeEach(() => configure({delegateEvents: true}))
+	afterEach(() => configure({delegateEvents: false}))
+
+	it('handles events of many elements without a listener per element', () => {
+		/** @type {number[]} */
+		const clicked = []
+		const items = [1, 2, 3, 4, 5]
+		const key = Symbol()
+
+		// Render once so that the delegated listener for clicks exists.
+		html`<b @click=${() => {}}></b>`(Symbol())
+
+		/** @type {unknown} */
+		let nodes
+		const listeners = countListeners(() => {
+			nodes = html`<ul>
+				${items.map(item => html`<li @click=${() => clicked.push(item)}>${item}</li>`)}
+			</ul>`(key)
+		})
+
+		assertEquals(listeners, 0, 'No listeners should be added to the elements')
+
+		const [list] = /** @type {[HTMLUListElement]} */ (nodes)
+		document.body.append(list)
+
+		try {
+			list.querySelectorAll('li')[2].click()
+			assertEquals(clicked.join(), '3', 'The handler of the clicked element should be called')
+		} finally {
+			list.remove()
+			dispose(key)
+		}
+	})
+
+	it('passes the same event object, with currentTarget set to the element', () => {
+		/** @type {Event | undefined} */
+		let received
+		/** @type {EventTarget | null} */
+		let currentTarget = null
+
+		const [button] = /** @type {[HTMLButtonElement]} */ (
+			html`<button
+				@click=${(/** @type {Event} */ e) => {
+					received = e
+					currentTarget = e.currentTarget
+				}}
+			>
+				<span>click</span>
+			</button>`(Symbol())
+		)
+		document.body.append(button)
+
+		try {
+			const event = new MouseEvent('click', {bubbles: true, composed: true})
+			button.querySelector('span')?.dispatchEvent(event)
+
+			assertTrue(received === event, 'Handler should receive the dispatched event')
+			assertTrue(currentTarget === button, 'currentTarget should be the element with the binding')
+			assertTrue(event.currentTarget !== button, 'currentTarget should be restored after handling')
+		} finally {
+			button.remove()
+		}
+	})
+
+	it('calls handlers from the target up, and respects stopPropagation()', () => {
+		/** @type {string[]} */
+		const calls = []
+		let stop = false
+
+		const [outer] = /** @type {[HTMLDivElement]} */ (
+			html`<div @click=${() => calls.push('outer')}>
+				<p
+					@click=${(/** @type {Event} */ e) => {
+						calls.push('inner')
+						if (stop) e.stopPropagation()
+					}}
+				></p>
+			</div>`(Symbol())
+		)
+		document.body.append(outer)
+
+		try {
+			outer.querySelector('p')?.click()
+			assertEquals(calls.join(), 'inner,outer', 'Handlers should be called from the target up')
+
+			calls.length = 0
+			stop = true
+			outer.querySelector('p')?.click()
+			assertEquals(calls.join(), 'inner', 'stopPropagation() should stop delegated handling')
+		} finally {
+			outer.remove()
+		}
+	})
+
+	it('stops handling on dispose', () => {
+		let clicks = 0
+		const key = Symbol()
+		const [button] = /** @type {[HTMLButtonElement]} */ (html`<button @click=${() => clicks++}></button>`(key))
+		document.body.append(button)
+
+		try {
+			dispose(key)
+			button.click()
+			assertEquals(clicks, 0, 'Disposed handler should not be called')
+		} finally {
+			button.remove()
+		}
+	})
+
+	it('still adds listeners to elements for non-delegated events, and listeners with options', () => {
+		const listeners = countListeners(() => {
+			html`<div @focus=${() => {}} @click.capture=${() => {}} @custom-event=${() => {}}></div>`(Symbol())
+		})
+
+		assertEquals(listeners, 3, 'Each of these sites should add its own listener')
+	})
+
+	it('does not delegate touchstart and touchmove, or sites that prevent the default action', () => {
+		const listeners = countListeners(() => {
+			html`<div @touchstart=${() => {}} @touchmove=${() => {}} @click.prevent=${() => {}}></div>`(Symbol())
+		})
+
+		assertEquals(listeners, 3, 'Each of these sites should add its own listener')
+	})
+})
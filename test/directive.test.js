@@ -0,0 +1,181 @@
+import {html, directive, noChange, dispose, Part} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/** @type {Part[]} */
+let parts = []
+let disconnects = 0
+
+/** A directive that records its parts, and renders its value uppercased. */
+const uppercase = directive(
+	class {
+		/** @param {Part} part */
+		constructor(part) {
+			parts.push(part)
+		}
+
+		/**
+		 * @param {Part} _part
+		 * @param {[string]} values
+		 */
+		update(_part, [text]) {
+			return text.toUpperCase()
+		}
+
+		disconnect() {
+			disconnects++
+		}
+	},
+)
+
+describe('directive()', () => {
+	beforeEach(() => {
+		parts = []
+		disconnects = 0
+	})
+
+	it('renders the value returned by update() in text sites', () => {
+		let text = 'hello'
+		const key = Symbol()
+		const template = () => /** @type {[HTMLParagraphElement]} */ (html`<p>${uppercase(text)}</p>`(key))
+
+		const [p] = template()
+		assertEquals(p.textContent, 'HELLO', 'Directive value should be rendered')
+
+		text = 'bye'
+		template()
+		assertEquals(p.textContent, 'BYE', 'Directive value should be updated')
+		assertEquals(parts.length, 1, 'The directive should be created once per site')
+	})
+
+	it('receives a Part describing the site', () => {
+		const [div] = /** @type {[HTMLDivElement]} */ (
+			html`<div title=${uppercase('a')} .foo=${uppercase('b')}>${uppercase('c')}</div>`(Symbol())
+		)
+
+		const [attributePart, propertyPart, textPart] = parts
+
+		assertTrue(attributePart instanceof Part, 'Should receive a Part')
+		assertEquals(attributePart.type, 'attribute', 'Attribute part type')
+		assertEquals(attributePart.attributeName, 'title', 'Attribute part name')
+		assertTrue(attributePart.node === div, 'Attribute part node should be the element')
+		assertEquals(div.getAttribute('title'), 'A', 'Attribute should be rendered')
+
+		assertEquals(propertyPart.type, 'property', 'Property part type')
+		assertEquals(propertyPart.attributeName, 'foo', 'Property part name')
+		assertEquals(/** @type {any} */ (div).foo, 'B', 'Property should be rendered')
+
+		assertEquals(textPart.type, 'text', 'Text part type')
+		assertTrue(textPart.node.parentNode === div, 'Text part node should be in the element')
+		assertEquals(textPart.value, 'C', 'Part value should be the rendered value')
+		assertEquals(div.textContent, 'C', 'Text should be rendered')
+	})
+
+	it('leaves the DOM unchanged when update() returns noChange', () => {
+		let updates = 0
+		const once = directive(
+			class {
+				/**
+				 * @param {Part} part
+				 * @param {[string]} values
+				 */
+				update(part, [value]) {
+					updates++
+					return part.value === undefined ? value : noChange
+				}
+			},
+		)
+
+		let value = 'first'
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div>${once(value)}</div>`(key))
+
+		const [div] = template()
+		value = 'second'
+		template()
+
+		assertEquals(updates, 2, 'update() should be called on every render')
+		assertEquals(div.textContent, 'first', 'DOM should not change')
+	})
+
+	it('can render values later with part.setValue()', () => {
+		/** @type {Part | undefined} */
+		let savedPart
+		const later = directive(
+			class {
+				/** @param {Part} part */
+				update(part) {
+					savedPart = part
+					return 'waiting'
+				}
+			},
+		)
+
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div>${later()}</div>`(Symbol()))
+		assertEquals(div.textContent, 'waiting', 'Initial value')
+
+		savedPart?.setValue('done')
+		assertEquals(div.textContent, 'done', 'Value set later')
+	})
+
+	it('disconnects when the site receives a different value', () => {
+		/** @type {unknown} */
+		let value = uppercase('a')
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div>${value}</div>`(key))
+
+		const [div] = template()
+		const [part] = parts
+
+		value = 'plain'
+		template()
+
+		assertEquals(disconnects, 1, 'Directive should be disconnected')
+		assertTrue(!part.isConnected, 'Part should be disconnected')
+		assertEquals(div.textContent, 'plain', 'Plain value should be rendered')
+
+		part.setValue('stale')
+		assertEquals(div.textContent, 'plain', 'Disconnected parts should not render')
+
+		value = uppercase('b')
+		template()
+		assertEquals(parts.length, 2, 'A new directive should be created')
+		assertEquals(div.textContent, 'B', 'New directive value should be rendered')
+	})
+
+	it('disconnects when the template instance is disposed', () => {
+		const key = Symbol()
+		html`<div>${uppercase('a')}</div>`(key)
+
+		dispose(key)
+
+		assertEquals(disconnects, 1, 'Directive should be disconnected on dispose')
+	})
+
+	it('throws when used in a mixed attribute value', () => {
+		let error
+		try {
+			html`<div title="foo ${uppercase('a')}"></div>`(Symbol())
+		} catch (e) {
+			error = e
+		}
+
+		assertTrue(error instanceof Error && /whole value/.test(error.message), 'Should throw for mixed values')
+	})
+})
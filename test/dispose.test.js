@@ -0,0 +1,140 @@
+import {html, repeat, dispose, onDispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+describe('dispose()', () => {
+	it('removes event listeners', () => {
+		let clicks = 0
+		const key = Symbol()
+
+		const [button] = /** @type {[HTMLButtonElement]} */ (html`<button @click=${() => clicks++}>click</button>`(key))
+
+		button.click()
+		assertEquals(clicks, 1, 'Listener should be called before dispose')
+
+		dispose(key)
+
+		button.click()
+		assertEquals(clicks, 1, 'Listener should not be called after dispose')
+	})
+
+	it('drops the cached instance', () => {
+		const key = Symbol()
+		const template = () => html`<div>content</div>`(key)
+
+		const [div1] = template()
+		const [div2] = template()
+		assertTrue(div1 === div2, 'Same key should return the same instance before dispose')
+
+		dispose(key)
+
+		const [div3] = template()
+		assertTrue(div1 !== div3, 'Same key should return a new instance after dispose')
+	})
+
+	it('disposes nested template instances recursively', () => {
+		let clicks = 0
+		const key = Symbol()
+
+		const [ul] = /** @type {[HTMLUListElement]} */ (
+			html`<ul>
+				${[1, 2].map(n => html`<li @click=${() => clicks++}>${n}</li>`)}
+			</ul>`(key)
+		)
+
+		const lis = ul.querySelectorAll('li')
+		lis[0].click()
+		lis[1].click()
+		assertEquals(clicks, 2, 'Nested listeners should be called before dispose')
+
+		dispose(key)
+
+		lis[0].click()
+		lis[1].click()
+		assertEquals(clicks, 2, 'Nested listeners should not be called after dispose')
+	})
+
+	it('calls onDispose callbacks once', () => {
+		const key = Symbol()
+		let calls = 0
+
+		html`<div></div>`(key)
+		onDispose(key, () => calls++)
+
+		dispose(key)
+		assertEquals(calls, 1, 'Callback should be called on dispose')
+
+		dispose(key)
+		assertEquals(calls, 1, 'Callback should not be called again')
+	})
+
+	it('throws when registering a callback for a key without instances', () => {
+		let error
+		try {
+			onDispose(Symbol(), () => {})
+		} catch (e) {
+			error = e
+		}
+		assertTrue(error instanceof Error, 'Should throw for an unknown key')
+	})
+
+	it('disposes all instances that share a key', () => {
+		const key = Symbol()
+		let calls = 0
+
+		html`<div></div>`(key)
+		html`<span></span>`(key)
+		onDispose(key, () => calls++)
+
+		dispose(key)
+		assertEquals(calls, 2, 'Both instances should be disposed')
+	})
+
+	it('disposes repeat() item instances when their items are removed', () => {
+		let items = [1, 2, 3]
+		const key = Symbol()
+		let clicks = 0
+
+		const template = () =>
+			/** @type {[HTMLUListElement]} */ (
+				html`<ul>
+					${repeat(
+						items,
+						item => item,
+						item => html`<li @click=${() => clicks++}>${item}</li>`,
+					)}
+				</ul>`(key)
+			)
+
+		const [ul] = template()
+		const li2 = ul.querySelectorAll('li')[1]
+
+		items = [1, 3]
+		template()
+
+		li2.click()
+		assertEquals(clicks, 0, 'Removed item should be disposed')
+
+		const lis = ul.querySelectorAll('li')
+		dispose(key)
+
+		for (const li of lis) li.click()
+		assertEquals(clicks, 0, 'Remaining items should be disposed with the parent')
+	})
+})
@@ -0,0 +1,105 @@
+import {html, directive, dispose, renderToString, hydrate} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * @param {() => void} fn
+ */
+function getError(fn) {
+	try {
+		fn()
+	} catch (error) {
+		return error
+	}
+	return undefined
+}
+
+describe('Element bindings', () => {
+	it('calls a callback with the element, and its cleanup when the callback changes or the instance is disposed', () => {
+		/** @type {string[]} */
+		const calls = []
+		const key = Symbol()
+
+		/** @param {string} name */
+		const behavior = name => (/** @type {Element} */ element) => {
+			calls.push(`attach ${name} to ${element.localName}`)
+			return () => calls.push(`detach ${name}`)
+		}
+		const tooltip = behavior('tooltip')
+		const template = (/** @type {unknown} */ value) => html`<button class="a" ${value}>Save</button>`
+
+		const [button] = /** @type {Element[]} */ (template(tooltip)(key))
+		assertEquals(calls.join(', '), 'attach tooltip to button', 'The callback should receive the element')
+		assertEquals(button.getAttributeNames().join(), 'class', 'No placeholder attribute should be left')
+
+		template(tooltip)(key)
+		assertEquals(calls.length, 1, 'The same callback should not be called again')
+
+		template(behavior('drag'))(key)
+		assertEquals(calls.slice(1).join(', '), 'detach tooltip, attach drag to button', 'The callback should change')
+
+		template(null)(key)
+		assertEquals(calls.at(-1), 'detach drag', 'Removing the callback should clean up')
+
+		template(tooltip)(key)
+		dispose(key)
+		assertEquals(calls.at(-1), 'detach tooltip', 'Disposing should clean up')
+	})
+
+	it('lets directives control the element', () => {
+		const autofocus = directive(
+			class {
+				/** @param {import('../html.js').Part} part */
+				update(part) {
+					assertEquals(part.type, 'element', 'The part should be an element part')
+					const element = /** @type {HTMLElement} */ (part.node)
+					element.dataset.focused = 'yes'
+					return undefined
+				}
+			},
+		)
+
+		const [input] = /** @type {HTMLElement[]} */ (html`<input ${autofocus()} />`(Symbol()))
+		assertEquals(input.dataset.focused, 'yes', 'The directive should receive the element')
+	})
+
+	it('adopts the element when hydrating, and skips the binding on the server', () => {
+		let element
+		const template = () => html`<p ${(/** @type {Element} */ el) => void (element = el)}>Hi</p>`
+
+		const container = document.createElement('div')
+		container.innerHTML = renderToString(template())
+		assertEquals(container.innerHTML, '<p data-nh="0">Hi</p>', 'Only the hydration marker should be rendered')
+		const p = container.firstChild
+
+		hydrate(template(), container)
+		assertTrue(element === p, 'The callback should receive the server-rendered element')
+	})
+
+	it('throws clear errors for invalid element bindings and comment interpolations', () => {
+		const notAFunction = getError(() => html`<div ${'x'}></div>`(Symbol()))
+		assertTrue(notAFunction instanceof TypeError, 'Values that are not functions should be rejected')
+
+		const comment = getError(() => html`<div><!-- ${'x'} --></div>`(Symbol()))
+		assertTrue(comment instanceof Error && comment.message.includes('comments'), 'Comments should throw')
+
+		const serverComment = getError(() => renderToString(html`<div><!-- ${'x'} --></div>`))
+		assertTrue(serverComment instanceof Error && serverComment.message.includes('comments'), 'Comments should throw')
+	})
+})
@@ -0,0 +1,115 @@
+import {html, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/** A controller that handles several events with one handleEvent() method. */
+class Controller {
+	/** @type {string[]} */
+	events = []
+
+	/** @param {Event} event */
+	handleEvent(event) {
+		assertTrue(this instanceof Controller, 'handleEvent() should be called with the object as `this`')
+		this.events.push(event.type)
+	}
+}
+
+const HANDLE_EVENT_REGEXP = /handleEvent/
+
+describe('EventListenerObject values in @event bindings', () => {
+	it('calls handleEvent() with the object as `this`', () => {
+		const controller = new Controller()
+
+		const [input] = /** @type {[HTMLInputElement]} */ (
+			html`<input @focus=${controller} @input=${controller} @blur=${controller} />`(Symbol())
+		)
+
+		input.dispatchEvent(new Event('focus'))
+		input.dispatchEvent(new Event('input'))
+		input.dispatchEvent(new Event('blur'))
+
+		assertEquals(controller.events.join(), 'focus,input,blur', 'One object should handle all events')
+	})
+
+	it('looks up handleEvent() when the event happens', () => {
+		/** @type {string[]} */
+		const calls = []
+		const listener = {handleEvent: () => calls.push('first')}
+
+		const [button] = /** @type {[HTMLButtonElement]} */ (html`<button @click=${listener}></button>`(Symbol()))
+
+		listener.handleEvent = () => calls.push('second')
+		button.click()
+
+		assertEquals(calls.join(), 'second', 'The current handleEvent() should be called')
+	})
+
+	it('switches between functions and objects without re-adding the listener', () => {
+		const controller = new Controller()
+		let functionCalls = 0
+		/** @type {unknown} */
+		let handler = controller
+		const key = Symbol()
+		const template = () => /** @type {[HTMLButtonElement]} */ (html`<button @click=${handler}></button>`(key))
+
+		let adds = 0
+		const [button] = template()
+		// Count any listener that gets added from now on.
+		button.addEventListener = () => adds++
+
+		button.click()
+
+		handler = () => functionCalls++
+		template()
+		button.click()
+
+		handler = new Controller()
+		template()
+		button.click()
+
+		assertEquals(adds, 0, 'The stable wrapper listener should be reused')
+		assertEquals(controller.events.length, 1, 'The first object should be called once')
+		assertEquals(functionCalls, 1, 'The function should be called once')
+		assertEquals(/** @type {Controller} */ (handler).events.length, 1, 'The second object should be called once')
+	})
+
+	it('removes the listener of an object on dispose', () => {
+		const controller = new Controller()
+		const key = Symbol()
+		const [button] = /** @type {[HTMLButtonElement]} */ (html`<button @click=${controller}></button>`(key))
+
+		dispose(key)
+		button.click()
+
+		assertEquals(controller.events.length, 0, 'Listener should be removed')
+	})
+
+	it('still throws for objects without a handleEvent() method', () => {
+		for (const value of [{}, {handleEvent: 'not a function'}]) {
+			let error
+			try {
+				html`<button @click=${value}></button>`(Symbol())
+			} catch (e) {
+				error = e
+			}
+
+			assertTrue(error instanceof TypeError && HANDLE_EVENT_REGEXP.test(error.message), 'Should throw a TypeError')
+		}
+	})
+})
@@ -0,0 +1,183 @@
+import {html, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * Record the options of listeners added to and removed from any node, until
+ * `restore()` is called.
+ */
+function recordListeners() {
+	/** @type {[string, unknown][]} */
+	const added = []
+	/** @type {[string, unknown][]} */
+	const removed = []
+	const proto = /** @type {any} */ (Node.prototype)
+	const {addEventListener, removeEventListener} = proto
+
+	/**
+	 * @this {EventTarget}
+	 * @param {string} type
+	 * @param {EventListener} listener
+	 * @param {unknown} options
+	 */
+	proto.addEventListener = function (type, listener, options) {
+		added.push([type, options])
+		return addEventListener.call(this, type, listener, options)
+	}
+
+	/**
+	 * @this {EventTarget}
+	 * @param {string} type
+	 * @param {EventListener} listener
+	 * @param {unknown} options
+	 */
+	proto.removeEventListener = function (type, listener, options) {
+		removed.push([type, options])
+		return removeEventListener.call(this, type, listener, options)
+	}
+
+	// Remove the patches, so that the inherited methods are used again.
+	const restore = () => {
+		delete proto.addEventListener
+		delete proto.removeEventListener
+	}
+
+	return {added, removed, restore}
+}
+
+describe('event modifiers', () => {
+	it('calls preventDefault() and stopPropagation() with .prevent and .stop', () => {
+		let parentClicks = 0
+		let clicks = 0
+
+		const [div] = /** @type {[HTMLDivElement]} */ (
+			html`<div @click=${() => parentClicks++}><a href="#" @click.prevent.stop=${() => clicks++}>link</a></div>`(
+				Symbol(),
+			)
+		)
+
+		const event = new MouseEvent('click', {bubbles: true, cancelable: true})
+		div.querySelector('a')?.dispatchEvent(event)
+
+		assertEquals(clicks, 1, 'Handler should be called')
+		assertTrue(event.defaultPrevented, 'Default should be prevented')
+		assertEquals(parentClicks, 0, 'Propagation should be stopped')
+	})
+
+	it('only handles events dispatched on the element itself with .self', () => {
+		let clicks = 0
+		const [div] = /** @type {[HTMLDivElement]} */ (
+			html`<div @click.self=${() => clicks++}><span></span></div>`(Symbol())
+		)
+
+		div.querySelector('span')?.click()
+		assertEquals(clicks, 0, 'Events from children should be ignored')
+
+		div.click()
+		assertEquals(clicks, 1, 'Events on the element should be handled')
+	})
+
+	it('filters key events with key modifiers', () => {
+		/** @type {string[]} */
+		const keys = []
+		const [input] = /** @type {[HTMLInputElement]} */ (
+			html`<input @keydown.enter.esc=${(/** @type {KeyboardEvent} */ e) => keys.push(e.key)} />`(Symbol())
+		)
+
+		for (const key of ['a', 'Enter', 'Escape', 'ArrowUp'])
+			input.dispatchEvent(new KeyboardEvent('keydown', {key, bubbles: true}))
+
+		assertEquals(keys.join(), 'Enter,Escape', 'Only the modifier keys should be handled')
+	})
+
+	it('does not treat key modifier names as modifiers for other events', () => {
+		let events = 0
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div @thing.up=${() => events++}></div>`(Symbol()))
+
+		div.dispatchEvent(new Event('thing.up'))
+		assertEquals(events, 1, 'The whole name should be the event name')
+	})
+
+	it('calls a .once listener once', () => {
+		let events = 0
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div @custom.once=${() => events++}></div>`(Symbol()))
+
+		div.dispatchEvent(new Event('custom'))
+		div.dispatchEvent(new Event('custom'))
+
+		assertEquals(events, 1, 'Listener should be called once')
+	})
+
+	it('passes listener options to addEventListener', () => {
+		const {added, restore} = recordListeners()
+
+		try {
+			html`<div @touchstart.passive=${() => {}} @scroll.capture.once=${() => {}} @click=${() => {}}></div>`(Symbol())
+		} finally {
+			restore()
+		}
+
+		const [touch, scroll, click] = added
+		assertEquals(JSON.stringify(touch), '["touchstart",{"passive":true}]', 'Passive option')
+		assertEquals(JSON.stringify(scroll), '["scroll",{"capture":true,"once":true}]', 'Capture and once options')
+		assertEquals(click[1], undefined, 'No options without modifiers')
+	})
+
+	it('removes capture listeners on dispose', () => {
+		let clicks = 0
+		const key = Symbol()
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div @click.capture=${() => clicks++}></div>`(key))
+
+		dispose(key)
+		div.click()
+
+		assertEquals(clicks, 0, 'Capture listener should be removed')
+	})
+
+	it('accepts listener objects with options, and re-adds the listener when the options change', () => {
+		let calls = 0
+		/** @type {unknown} */
+		let handler = {handleEvent: () => calls++, passive: true}
+		const key = Symbol()
+		const template = () => /** @type {[HTMLDivElement]} */ (html`<div @wheel=${handler}></div>`(key))
+		const {added, removed, restore} = recordListeners()
+
+		try {
+			const [div] = template()
+			div.dispatchEvent(new Event('wheel'))
+			assertEquals(calls, 1, 'handleEvent() should be called')
+			assertEquals(JSON.stringify(added[0]), '["wheel",{"passive":true}]', 'Options should be passed')
+
+			handler = {handleEvent: () => calls++, passive: true}
+			template()
+			assertEquals(added.length, 1, 'Same options should not re-add the listener')
+
+			handler = {handleEvent: () => calls++}
+			template()
+			assertEquals(removed.length, 1, 'Changed options should remove the listener')
+			assertEquals(added.length, 2, 'Changed options should add the listener again')
+			assertEquals(added[1][1], undefined, 'The listener should be added without options')
+
+			div.dispatchEvent(new Event('wheel'))
+			assertEquals(calls, 2, 'The new handler should be called once')
+		} finally {
+			restore()
+		}
+	})
+})
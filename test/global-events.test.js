@@ -0,0 +1,78 @@
+import {html, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+describe('global target event bindings', () => {
+	it('listens to window events with @window:event', () => {
+		let resizes = 0
+		const key = Symbol()
+
+		html`<div @window:resize=${() => resizes++}></div>`(key)
+
+		window.dispatchEvent(new Event('resize'))
+		assertEquals(resizes, 1, 'Window listener should be called')
+
+		dispose(key)
+
+		window.dispatchEvent(new Event('resize'))
+		assertEquals(resizes, 1, 'Window listener should be removed on dispose')
+	})
+
+	it('listens to document events with @document:event, with modifiers', () => {
+		/** @type {string[]} */
+		const keys = []
+		const key = Symbol()
+
+		html`<div @document:keydown.esc=${(/** @type {KeyboardEvent} */ e) => keys.push(e.key)}></div>`(key)
+
+		document.dispatchEvent(new KeyboardEvent('keydown', {key: 'a'}))
+		document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape'}))
+		assertEquals(keys.join(), 'Escape', 'Document listener should be called for the modifier key')
+
+		dispose(key)
+	})
+
+	it('does not listen on the element itself', () => {
+		let events = 0
+		const key = Symbol()
+
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div @window:custom=${() => events++}></div>`(key))
+
+		div.dispatchEvent(new Event('custom'))
+		assertEquals(events, 0, 'Element events should not be handled')
+
+		dispose(key)
+	})
+
+	it('detaches the listener when the binding becomes falsy', () => {
+		let events = 0
+		/** @type {unknown} */
+		let handler = () => events++
+		const key = Symbol()
+		const template = () => html`<div @document:custom=${handler}></div>`(key)
+
+		template()
+
+		handler = null
+		template()
+
+		document.dispatchEvent(new Event('custom'))
+		assertEquals(events, 0, 'Listener should be detached')
+
+		handler = () => events++
+		template()
+
+		document.dispatchEvent(new Event('custom'))
+		assertEquals(events, 1, 'Listener should be attached again')
+
+		dispose(key)
+	})
+})
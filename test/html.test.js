@@ -485,7 +485,7 @@ describe('html template function', () => {
 		let errorThrown = false
 		try {
 			// This should trigger a parser error by using invalid characters in the HTML
-			html`<div ${'\u0000invalid'}>content</div>`(key)
+			html`<div title=${'\u0000invalid'}>content</div>`(key)
 		} catch (error) {
 			errorThrown = true
 			assertTrue(error instanceof SyntaxError, 'Should throw SyntaxError')
@@ -0,0 +1,163 @@
+import {html, htmlEffect, setReactivityAdapter, dispose, preactAdapter, solidAdapter} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/** Wait for pending promise callbacks to run. */
+function settle() {
+	return new Promise(resolve => setTimeout(resolve))
+}
+
+/** @type {(() => void) | undefined} */
+let currentEffect
+
+/**
+ * A minimal synchronous reactive signal, enough to test effects with.
+ * @template T
+ * @param {T} value
+ * @returns {[() => T, (value: T) => void, Set<() => void>]}
+ */
+function createSignal(value) {
+	/** @type {Set<() => void>} */
+	const effects = new Set()
+	const get = () => {
+		if (currentEffect) effects.add(currentEffect)
+		return value
+	}
+	/** @param {T} newValue */
+	const set = newValue => {
+		value = newValue
+		for (const effect of [...effects]) effect()
+	}
+	return [get, set, effects]
+}
+
+/**
+ * A minimal `effect()` in the style of Preact Signals.
+ * @param {() => void} fn
+ */
+function effect(fn) {
+	let stopped = false
+	const run = () => {
+		if (stopped) return
+		const previous = currentEffect
+		currentEffect = run
+		try {
+			fn()
+		} finally {
+			currentEffect = previous
+		}
+	}
+	run()
+	return () => (stopped = true)
+}
+
+describe('htmlEffect()', () => {
+	const adapter = preactAdapter({effect})
+
+	it('renders synchronously, and re-renders when dependencies change', async () => {
+		const [count, setCount] = createSignal(0)
+
+		const [p] = /** @type {[HTMLParagraphElement]} */ (htmlEffect(() => html`<p>Count: ${count()}</p>`, {adapter}))
+		assertEquals(p.textContent, 'Count: 0', 'Initial render should be synchronous')
+
+		setCount(1)
+		await settle()
+		assertEquals(p.textContent, 'Count: 1', 'Change should re-render the same instance')
+	})
+
+	it('batches re-renders in a microtask', async () => {
+		const [count, setCount] = createSignal(0)
+		let renders = 0
+
+		const [p] = /** @type {[HTMLParagraphElement]} */ (
+			htmlEffect(
+				() =>
+					html`<p
+						.foo=${(() => {
+							renders++
+							return count()
+						})()}
+					>
+						${count()}
+					</p>`,
+				{adapter},
+			)
+		)
+
+		setCount(1)
+		setCount(2)
+		setCount(3)
+		assertEquals(p.textContent?.trim(), '0', 'DOM should not update synchronously')
+
+		await settle()
+		assertEquals(p.textContent?.trim(), '3', 'Latest value should render')
+		assertEquals(/** @type {any} */ (p).foo, 3, 'Latest value should render')
+		assertTrue(renders === 4, 'Each change re-runs the template function')
+	})
+
+	it('stops tracking when its key is disposed', async () => {
+		const [count, setCount, effects] = createSignal(0)
+		const key = Symbol()
+
+		const [p] = /** @type {[HTMLParagraphElement]} */ (htmlEffect(() => html`<p>${count()}</p>`, {adapter, key}))
+
+		setCount(1)
+		dispose(key)
+		await settle()
+		assertEquals(p.textContent, '0', 'Pending re-render should be dropped on dispose')
+
+		setCount(2)
+		await settle()
+		assertEquals(p.textContent, '0', 'Changes after dispose should not render')
+		assertEquals(effects.size, 1, 'The effect should not run again after dispose')
+	})
+
+	it('uses the adapter set with setReactivityAdapter()', async () => {
+		const [name, setName] = createSignal('a')
+		setReactivityAdapter(adapter)
+
+		const [p] = /** @type {[HTMLParagraphElement]} */ (htmlEffect(() => html`<p>${name()}</p>`))
+
+		setName('b')
+		await settle()
+		assertEquals(p.textContent, 'b', 'Default adapter should track dependencies')
+	})
+
+	it('adapts Solid-style createRoot() and createEffect()', () => {
+		let disposed = false
+		const solid = {
+			/**
+			 * @template T
+			 * @param {(dispose: () => void) => T} fn
+			 */
+			createRoot: fn => fn(() => (disposed = true)),
+			/** @param {() => void} fn */
+			createEffect: fn => void effect(fn),
+		}
+		const key = Symbol()
+
+		const [p] = /** @type {[HTMLParagraphElement]} */ (
+			htmlEffect(() => html`<p>solid</p>`, {adapter: solidAdapter(solid), key})
+		)
+		assertEquals(p.textContent, 'solid', 'Should render')
+
+		dispose(key)
+		assertTrue(disposed, 'Disposing the key should dispose the Solid root')
+	})
+})
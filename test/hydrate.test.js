@@ -0,0 +1,205 @@
+import {html, svg, hydrate, renderToString, configure, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * Create a container with server-rendered HTML, like a page would have.
+ * @param {string} serverHTML
+ */
+function createContainer(serverHTML) {
+	const container = document.createElement('div')
+	container.innerHTML = serverHTML
+	return container
+}
+
+/**
+ * Collect the console warnings while `fn` runs.
+ * @param {() => void} fn
+ */
+function collectWarnings(fn) {
+	/** @type {string[]} */
+	const warnings = []
+	const {warn} = console
+	console.warn = (/** @type {string} */ message) => void warnings.push(message)
+
+	try {
+		fn()
+	} finally {
+		console.warn = warn
+	}
+
+	return warnings
+}
+
+describe('hydrate', () => {
+	it('adopts server-rendered nodes, and attaches events and properties', () => {
+		let clicks = 0
+		let count = 1
+		const key = Symbol()
+		const template = () => html`
+			<button class="counter" .count=${count} @click=${() => clicks++}>Count: ${count}</button>
+		`
+
+		const container = createContainer(renderToString(template()))
+		const serverButton = container.querySelector('button')
+
+		const [button] = /** @type {[HTMLButtonElement & {count: number}]} */ (hydrate(template(), container, key))
+
+		assertTrue(button === serverButton, 'The server-rendered button should be adopted')
+		assertEquals(button.count, 1, 'The property should be set')
+		assertEquals(container.innerHTML, '<button class="counter">Count: 1</button>', 'Markers should be removed')
+
+		button.click()
+		assertEquals(clicks, 1, 'The event listener should be attached')
+
+		count = 2
+		template()(key)
+		assertEquals(button.textContent, 'Count: 2', 'Later renders should update the adopted nodes in place')
+		assertTrue(container.firstElementChild === button, 'The button should still be in place')
+
+		dispose(key)
+	})
+
+	it('adopts the nodes of nested templates, arrays, and svg templates', () => {
+		let items = ['a', 'b']
+		const key = Symbol()
+		const template = () => html`
+			<ul>
+				${items.map(item => html`<li>${item}</li>`)}
+			</ul>
+			<svg>${svg`<circle r=${items.length} />`}</svg>
+		`
+
+		const container = createContainer(renderToString(template()))
+		const serverItems = [...container.querySelectorAll('li')]
+		const serverCircle = container.querySelector('circle')
+
+		hydrate(template(), container, key)
+
+		const clientItems = [...container.querySelectorAll('li')]
+		assertEquals(clientItems.length, 2, 'No items should be added')
+		assertTrue(clientItems[0] === serverItems[0] && clientItems[1] === serverItems[1], 'Items should be adopted')
+		assertTrue(container.querySelector('circle') === serverCircle, 'SVG elements should be adopted')
+		assertTrue(!container.innerHTML.includes('<!--'), 'All markers should be removed')
+
+		items = ['a', 'b', 'c']
+		template()(key)
+		assertEquals(container.querySelector('ul')?.textContent?.replace(/\s/g, ''), 'abc', 'Items should update')
+		assertEquals(container.querySelector('circle')?.getAttribute('r'), '3', 'Attributes should update')
+
+		dispose(key)
+	})
+
+	it('re-renders when the server-rendered HTML does not match, and warns in dev mode', () => {
+		const container = createContainer('<p>Server <!--nh:0-->x<!--/nh--></p>')
+		configure({dev: true})
+
+		/** @type {readonly Node[]} */
+		let nodes = []
+
+		try {
+			const warnings = collectWarnings(() => {
+				nodes = hydrate(html`<div>Client ${'x'}</div>`, container)
+			})
+
+			assertEquals(warnings.length, 1, 'The mismatch should be reported')
+			assertTrue(warnings[0].includes('Expected <div>, but found <p>'), 'The warning should describe the mismatch')
+		} finally {
+			configure({dev: false})
+		}
+
+		assertEquals(container.innerHTML, '<div>Client x</div>', 'The client rendering should replace the HTML')
+		assertTrue(nodes[0] === container.firstChild, 'The rendered nodes should be returned')
+	})
+
+	it('reports values that differ from the server in dev mode', () => {
+		const container = createContainer(renderToString(html`<p title=${'server'}>${'server text'}</p>`))
+		const p = container.firstChild
+		configure({dev: true})
+
+		try {
+			const warnings = collectWarnings(() => {
+				hydrate(html`<p title=${'client'}>${'client text'}</p>`, container)
+			})
+
+			assertEquals(warnings.length, 2, 'Each differing value should be reported')
+			assertTrue(warnings[0].includes('the title attribute of <p>'), 'The attribute should be named')
+			assertTrue(
+				warnings[1].includes('"server text"') && warnings[1].includes('"client text"'),
+				'Values should be shown',
+			)
+		} finally {
+			configure({dev: false})
+		}
+
+		assertTrue(container.firstChild === p, 'The nodes should still be adopted')
+		assertEquals(container.innerHTML, '<p title="client">client text</p>', 'The client values should be rendered')
+	})
+
+	it('reports nested templates where the other side rendered text in dev mode', () => {
+		const template = (/** @type {unknown} */ value) => html`<p>${value}</p>`
+		configure({dev: true})
+
+		try {
+			const nodesToText = collectWarnings(() => {
+				hydrate(template('none'), createContainer(renderToString(template(html`<b>yes</b>`))))
+			})
+			assertEquals(nodesToText.length, 1, 'Text instead of nodes should be reported')
+			assertTrue(nodesToText[0].includes('"<b>yes</b>"') && nodesToText[0].includes('"none"'), 'Both should be shown')
+
+			const textToNodes = collectWarnings(() => {
+				hydrate(template(html`<b>yes</b>`), createContainer(renderToString(template('none'))))
+			})
+			assertEquals(textToNodes.length, 1, 'Nodes instead of text should be reported')
+
+			const nodesToNodes = collectWarnings(() => {
+				hydrate(template(html`<b>yes</b>`), createContainer(renderToString(template(html`<b>yes</b>`))))
+			})
+			assertEquals(nodesToNodes.length, 0, 'Matching nested templates should not be reported')
+		} finally {
+			configure({dev: false})
+		}
+	})
+
+	it('renders values in raw text elements again', () => {
+		const template = () =>
+			html`<style>
+				p {
+					color: ${'red'};
+				}
+			</style>`
+		const container = createContainer(renderToString(template()))
+
+		const [style] = hydrate(template(), container)
+
+		assertTrue(style === container.firstChild, 'The style element should be adopted')
+		assertTrue(style.textContent?.includes('color: red;'), 'The style text should be rendered')
+	})
+
+	it('throws for values that are not template functions', () => {
+		let error
+		try {
+			hydrate(/** @type {any} */ (() => []), document.createElement('div'))
+		} catch (e) {
+			error = e
+		}
+
+		assertTrue(error instanceof TypeError, 'Should throw a TypeError')
+	})
+})
@@ -0,0 +1,90 @@
+import {html, createRef, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+describe('ref bindings', () => {
+	it('sets a ref object to the element', () => {
+		const button = createRef()
+
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div><button ref=${button}>Click</button></div>`(Symbol()))
+
+		assertTrue(button.current === div.querySelector('button'), 'Ref should hold the element')
+		assertTrue(!div.querySelector('button')?.hasAttribute('ref'), 'The ref attribute should be removed')
+	})
+
+	it('calls a ref callback with the element, and with null on dispose', () => {
+		/** @type {(Element | null)[]} */
+		const calls = []
+		const key = Symbol()
+		/** @param {Element | null} el */
+		const ref = el => calls.push(el)
+		const template = () => /** @type {[HTMLCanvasElement]} */ (html`<canvas ref=${ref}></canvas>`(key))
+
+		const [canvas] = template()
+		template()
+
+		assertEquals(calls.length, 1, 'Callback should be called once for the same callback')
+		assertTrue(calls[0] === canvas, 'Callback should receive the element')
+
+		dispose(key)
+
+		assertEquals(calls.length, 2, 'Callback should be called on dispose')
+		assertEquals(calls[1], null, 'Callback should receive null on dispose')
+	})
+
+	it('clears the previous ref when the bound ref changes', () => {
+		/** @type {(Element | null)[]} */
+		const firstCalls = []
+		/** @type {(Element | null)[]} */
+		const secondCalls = []
+		/** @type {(el: Element | null) => void} */
+		let ref = el => void firstCalls.push(el)
+		const key = Symbol()
+		const template = () => /** @type {[HTMLInputElement]} */ (html`<input ref=${ref} />`(key))
+
+		const [input] = template()
+
+		ref = el => void secondCalls.push(el)
+		template()
+
+		assertEquals(firstCalls.length, 2, 'Previous callback should be called again')
+		assertEquals(firstCalls[1], null, 'Previous callback should receive null')
+		assertTrue(secondCalls[0] === input, 'New callback should receive the element')
+	})
+
+	it('sets refs of nested template elements', () => {
+		const item = createRef()
+
+		html`<ul>
+			${html`<li ref=${item}>item</li>`}
+		</ul>`(Symbol())
+
+		assertEquals(item.current?.tagName, 'LI', 'Nested ref should hold the element')
+	})
+
+	it('treats a static or mixed ref attribute as a regular attribute', () => {
+		const [a, b] = /** @type {[HTMLDivElement, HTMLDivElement]} */ (
+			html`<div ref="static"></div>
+				<div ref="item-${1}"></div>`(Symbol())
+		)
+
+		assertEquals(a.getAttribute('ref'), 'static', 'Static attribute should be kept')
+		assertEquals(b.getAttribute('ref'), 'item-1', 'Mixed attribute should be set')
+	})
+})
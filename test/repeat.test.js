@@ -0,0 +1,224 @@
+import {html, repeat} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * Count the number of DOM insertions (including moves) made while running fn.
+ * @param {() => void} fn
+ */
+function countInsertions(fn) {
+	const proto = /** @type {any} */ (Node.prototype)
+	const {insertBefore} = proto
+	let count = 0
+
+	proto.insertBefore = function (/** @type {Node} */ node, /** @type {Node | null} */ child) {
+		count++
+		return insertBefore.call(this, node, child)
+	}
+
+	try {
+		fn()
+	} finally {
+		proto.insertBefore = insertBefore
+	}
+
+	return count
+}
+
+/** @typedef {{id: number, name: string}} Item */
+
+describe('repeat()', () => {
+	/** @type {Item[]} */
+	let items = []
+	const key = Symbol()
+
+	const template = () =>
+		/** @type {[HTMLUListElement]} */ (
+			html`
+				<ul>
+					${repeat(
+						items,
+						item => item.id,
+						item => html`<li>${item.name}</li>`,
+					)}
+				</ul>
+			`(key)
+		)
+
+	/** @param {HTMLUListElement} ul */
+	const names = ul => Array.from(ul.querySelectorAll('li'), li => li.textContent).join(',')
+
+	beforeEach(() => {
+		items = [
+			{id: 1, name: 'a'},
+			{id: 2, name: 'b'},
+			{id: 3, name: 'c'},
+			{id: 4, name: 'd'},
+		]
+	})
+
+	it('renders items in order', () => {
+		const [ul] = template()
+		assertEquals(names(ul), 'a,b,c,d', 'Items should be rendered in order')
+	})
+
+	it('re-uses DOM by key when items are reordered', () => {
+		const [ul] = template()
+		const [liA, liB, liC, liD] = ul.querySelectorAll('li')
+
+		items = [items[3], items[1], items[2], items[0]]
+		template()
+
+		const lis = ul.querySelectorAll('li')
+		assertEquals(names(ul), 'd,b,c,a', 'Items should be reordered')
+		assertTrue(lis[0] === liD, 'd should be the same element')
+		assertTrue(lis[1] === liB, 'b should be the same element')
+		assertTrue(lis[2] === liC, 'c should be the same element')
+		assertTrue(lis[3] === liA, 'a should be the same element')
+	})
+
+	it('updates item content in place', () => {
+		const [ul] = template()
+		const liB = ul.querySelectorAll('li')[1]
+
+		items = items.map(item => (item.id === 2 ? {...item, name: 'B'} : item))
+		const insertions = countInsertions(() => template())
+
+		assertEquals(names(ul), 'a,B,c,d', 'Changed item should be updated')
+		assertTrue(ul.querySelectorAll('li')[1] === liB, 'Changed item should keep its element')
+		assertEquals(insertions, 0, 'No nodes should be inserted or moved')
+	})
+
+	it('moves the minimal number of nodes', () => {
+		const [ul] = template()
+
+		// Moving the last item to the front only needs one move.
+		items = [items[3], items[0], items[1], items[2]]
+		let insertions = countInsertions(() => template())
+		assertEquals(insertions, 1, 'Only one node should move')
+		assertEquals(names(ul), 'd,a,b,c', 'Items should be reordered')
+
+		// Swapping the first and last items needs two moves.
+		items = [items[3], items[1], items[2], items[0]]
+		insertions = countInsertions(() => template())
+		assertEquals(insertions, 2, 'Only two nodes should move')
+		assertEquals(names(ul), 'c,a,b,d', 'Items should be swapped')
+	})
+
+	it('inserts and removes only what changed', () => {
+		const [ul] = template()
+		const [liA, , liC] = ul.querySelectorAll('li')
+
+		items = [items[0], {id: 5, name: 'e'}, items[2]]
+		const insertions = countInsertions(() => template())
+
+		const lis = ul.querySelectorAll('li')
+		assertEquals(names(ul), 'a,e,c', 'Items should be inserted and removed')
+		assertEquals(insertions, 1, 'Only the new node should be inserted')
+		assertTrue(lis[0] === liA, 'a should be the same element')
+		assertTrue(lis[2] === liC, 'c should be the same element')
+	})
+
+	it('creates a new instance for a key that was removed and added back', () => {
+		const [ul] = template()
+		const liB = ul.querySelectorAll('li')[1]
+		const itemB = items[1]
+
+		items = items.filter(item => item !== itemB)
+		template()
+		assertEquals(names(ul), 'a,c,d', 'b should be removed')
+
+		items = [...items, itemB]
+		template()
+		assertEquals(names(ul), 'a,c,d,b', 'b should be added back')
+		assertTrue(ul.querySelectorAll('li')[3] !== liB, 'b should get a new element')
+	})
+
+	it('throws on duplicate keys', () => {
+		items = [items[0], items[0]]
+
+		let error
+		try {
+			template()
+		} catch (e) {
+			error = e
+		}
+
+		assertTrue(error instanceof Error && /Duplicate key/.test(error.message), 'Should throw on duplicate keys')
+	})
+
+	it('switches between repeat() and other values', () => {
+		/** @type {unknown} */
+		let content = repeat(
+			items,
+			item => item.id,
+			item => html`<li>${item.name}</li>`,
+		)
+		const tmpl = () =>
+			/** @type {[HTMLUListElement]} */ (
+				html`<ul>
+					${content}
+				</ul>`(tmpl)
+			)
+
+		const [ul] = tmpl()
+		assertEquals(names(ul), 'a,b,c,d', 'Items should be rendered')
+
+		content = 'empty'
+		tmpl()
+		assertEquals(ul.textContent?.trim(), 'empty', 'Items should be replaced with text')
+
+		content = repeat(
+			items,
+			item => item.id,
+			item => html`<li>${item.name}</li>`,
+		)
+		tmpl()
+		assertEquals(names(ul), 'a,b,c,d', 'Items should be rendered again')
+	})
+})
+
+describe('array reconciliation', () => {
+	it('does not re-insert unchanged nested templates', () => {
+		let values = ['a', 'b', 'c']
+		const key = Symbol()
+
+		const template = () =>
+			/** @type {[HTMLUListElement]} */ (
+				html`<ul>
+					${values.map(v => html`<li>${v}</li>`)}
+				</ul>`(key)
+			)
+
+		const [ul] = template()
+		const lis = Array.from(ul.querySelectorAll('li'))
+
+		values = ['a', 'B', 'c', 'd']
+		const insertions = countInsertions(() => template())
+
+		assertEquals(ul.textContent?.trim(), 'aBcd', 'Content should be updated')
+		assertEquals(insertions, 1, 'Only the new item should be inserted')
+		for (const [i, li] of lis.entries()) assertTrue(ul.children[i] === li, 'Existing items should be kept')
+
+		values = ['a']
+		template()
+		assertEquals(ul.textContent?.trim(), 'a', 'Extra items should be removed')
+		assertTrue(ul.children[0] === lis[0], 'First item should be kept')
+	})
+})
@@ -0,0 +1,213 @@
+import {html, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/** Wait for pending promise callbacks to run. */
+function settle() {
+	return new Promise(resolve => setTimeout(resolve))
+}
+
+/**
+ * A minimal signal with the subscribe/get protocol.
+ * @template T
+ */
+class Store {
+	/** @type {Set<() => void>} */
+	subscribers = new Set()
+
+	/** @param {T} value */
+	constructor(value) {
+		this.value = value
+	}
+
+	get() {
+		return this.value
+	}
+
+	/** @param {T} value */
+	set(value) {
+		this.value = value
+		for (const subscriber of this.subscribers) subscriber()
+	}
+
+	/** @param {() => void} callback */
+	subscribe(callback) {
+		this.subscribers.add(callback)
+		return () => this.subscribers.delete(callback)
+	}
+}
+
+/**
+ * A minimal stand-in for the TC39 Signals proposal API, with just enough
+ * behavior for watching `Signal.State`s.
+ */
+const FakeSignal = {
+	State: class {
+		/** @type {Set<{notify: () => void}>} */
+		watchers = new Set()
+
+		/** @param {unknown} value */
+		constructor(value) {
+			this.value = value
+		}
+
+		get() {
+			return this.value
+		}
+
+		/** @param {unknown} value */
+		set(value) {
+			this.value = value
+			for (const watcher of this.watchers) watcher.notify()
+		}
+	},
+
+	Computed: class {},
+
+	subtle: {
+		Watcher: class {
+			/** @param {() => void} notify */
+			constructor(notify) {
+				this.notify = notify
+			}
+
+			/** @param {...any} signals */
+			watch(...signals) {
+				for (const signal of signals) signal.watchers.add(this)
+			}
+
+			/** @param {...any} signals */
+			unwatch(...signals) {
+				for (const signal of signals) signal.watchers.delete(this)
+			}
+		},
+	},
+}
+
+describe('signal interpolation', () => {
+	it('updates a text site when a subscribable signal changes', () => {
+		const count = new Store(0)
+		let renders = 0
+		const key = Symbol()
+
+		const template = () => {
+			renders++
+			return /** @type {[HTMLParagraphElement]} */ (html`<p>Count: ${count}</p>`(key))
+		}
+
+		const [p] = template()
+		assertEquals(p.textContent, 'Count: 0', 'Initial value should render')
+
+		count.set(1)
+		assertEquals(p.textContent, 'Count: 1', 'Signal change should update the site')
+		assertEquals(renders, 1, 'The template should not re-run')
+	})
+
+	it('updates attribute sites', () => {
+		const title = new Store('a')
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div title=${title}></div>`(Symbol()))
+
+		title.set('b')
+
+		assertEquals(div.getAttribute('title'), 'b', 'Attribute should update')
+	})
+
+	it('passes stores to property sites as is', () => {
+		const store = new Store('a')
+		const [div] = /** @type {[any]} */ (html`<div .store=${store}></div>`(Symbol()))
+
+		assertEquals(div.store, store, 'The property should be the store')
+	})
+
+	it('unsubscribes when the site receives another value', () => {
+		const signal = new Store('signal')
+		/** @type {unknown} */
+		let value = signal
+		const key = Symbol()
+		const template = () => /** @type {[HTMLParagraphElement]} */ (html`<p>${value}</p>`(key))
+
+		const [p] = template()
+		value = 'plain'
+		template()
+
+		assertEquals(signal.subscribers.size, 0, 'Should unsubscribe')
+
+		signal.set('changed')
+		assertEquals(p.textContent, 'plain', 'Signal changes should no longer render')
+	})
+
+	it('unsubscribes when the template instance is disposed', () => {
+		const signal = new Store('signal')
+		const key = Symbol()
+		html`<p>${signal}</p>`(key)
+
+		dispose(key)
+
+		assertEquals(signal.subscribers.size, 0, 'Should unsubscribe')
+	})
+
+	it('supports subscriptions with an unsubscribe() method', () => {
+		const store = new Store('a')
+		const signal = {
+			get: () => store.get(),
+			/** @param {() => void} callback */
+			subscribe: callback => ({unsubscribe: store.subscribe(callback)}),
+		}
+		const key = Symbol()
+
+		const [p] = /** @type {[HTMLParagraphElement]} */ (html`<p>${signal}</p>`(key))
+		store.set('b')
+		assertEquals(p.textContent, 'b', 'Signal change should render')
+
+		dispose(key)
+		assertEquals(store.subscribers.size, 0, 'Should unsubscribe')
+	})
+
+	describe('TC39 signals', () => {
+		const global = /** @type {any} */ (globalThis)
+		/** @type {unknown} */
+		let originalSignal
+
+		before(() => {
+			originalSignal = global.Signal
+			global.Signal = FakeSignal
+		})
+
+		after(() => {
+			global.Signal = originalSignal
+		})
+
+		it('updates a site when a Signal.State changes', async () => {
+			const count = new FakeSignal.State(0)
+			const key = Symbol()
+
+			const [p] = /** @type {[HTMLParagraphElement]} */ (html`<p>${count}</p>`(key))
+			assertEquals(p.textContent, '0', 'Initial value should render')
+
+			count.set(1)
+			count.set(2)
+			await settle()
+			assertEquals(p.textContent, '2', 'Signal change should update the site')
+
+			dispose(key)
+			assertEquals(count.watchers.size, 0, 'Should stop watching on dispose')
+		})
+
+		it('updates property sites when a Signal.State changes', async () => {
+			const count = new FakeSignal.State(0)
+			const [div] = /** @type {[any]} */ (html`<div .count=${count}></div>`(Symbol()))
+
+			count.set(1)
+			await settle()
+			assertEquals(div.count, 1, 'The property should be the value of the signal')
+		})
+	})
+})
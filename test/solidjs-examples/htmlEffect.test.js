@@ -6,8 +6,10 @@
 
 // So instead we use dynamic import with eval to avoid WTR's default code
 // transform from messing with the imports.
-const {createEffect, createSignal} = /** @type {typeof import('solid-js')} */ (await eval('import("solid-js")'))
-const {html} = /** @type {typeof import('../../html.js')} */ (await eval('import("../../html.js")'))
+const solid = /** @type {typeof import('solid-js')} */ (await eval('import("solid-js")'))
+const {createEffect, createSignal} = solid
+const nimble = /** @type {typeof import('../../html.js')} */ (await eval('import("../../html.js")'))
+const {html, dispose, solidAdapter} = nimble
 export {} // Tell TS this is a module so that top-level await ^ statements show no type error.
 
 /**
@@ -101,4 +103,40 @@ describe('solid.js htmlEffect example', () => {
 
 		div.remove()
 	})
+
+	it('the same example with the htmlEffect() exported by nimble-html', async () => {
+		const [count, setCount] = createSignal(0)
+		const key = Symbol()
+
+		const [div] = /** @type {[HTMLDivElement]} */ (
+			nimble.htmlEffect(
+				() => html`
+					<div>
+						<p>Count: ${count()}</p>
+						<button id="increment-btn" .onclick=${() => setCount(count() + 1)}>Increment</button>
+					</div>
+				`,
+				{adapter: solidAdapter(solid), key},
+			)
+		)
+
+		const button = /** @type {HTMLButtonElement} */ (div.querySelector('#increment-btn'))
+		const p = /** @type {HTMLParagraphElement} */ (div.querySelector('p'))
+
+		if (p.textContent !== 'Count: 0') throw new Error('Initial count should be 0')
+
+		button.click()
+		button.click()
+
+		// Re-renders are batched in a microtask.
+		await Promise.resolve()
+		// @ts-ignore
+		if (p.textContent !== 'Count: 2') throw new Error('Updated count should be 2')
+
+		dispose(key)
+		button.click()
+		await Promise.resolve()
+		// @ts-ignore
+		if (p.textContent !== 'Count: 2') throw new Error('Count should not update after dispose')
+	})
 })
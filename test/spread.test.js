@@ -0,0 +1,106 @@
+import {html, dispose} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+describe('spread bindings', () => {
+	it('spreads attributes, properties, boolean attributes, and events', () => {
+		let inputs = 0
+		const onInput = () => inputs++
+
+		const [input] = /** @type {[HTMLInputElement]} */ (
+			html`<input ...=${{type: 'text', '.value': 'hello', '@input': onInput, '?disabled': true}} />`(Symbol())
+		)
+
+		assertEquals(input.getAttribute('type'), 'text', 'Attribute should be set')
+		assertEquals(input.value, 'hello', 'Property should be set')
+		assertTrue(input.hasAttribute('disabled'), 'Boolean attribute should be set')
+		assertTrue(!input.hasAttribute('...'), 'The spread attribute should be removed')
+
+		input.dispatchEvent(new Event('input'))
+		assertEquals(inputs, 1, 'Event listener should be added')
+	})
+
+	it('preserves the case of property and event names', () => {
+		let events = 0
+		const [div] = /** @type {[HTMLDivElement]} */ (
+			html`<div ...=${{'.someProp': 1, '@myEvent': () => events++}}></div>`(Symbol())
+		)
+
+		assertEquals(/** @type {any} */ (div).someProp, 1, 'Property name should keep its case')
+
+		div.dispatchEvent(new Event('myEvent'))
+		assertEquals(events, 1, 'Event name should keep its case')
+	})
+
+	it('updates changed values, and removes keys that are no longer present', () => {
+		let inputs = 0
+		/** @type {Record<string, unknown>} */
+		let props = {title: 'a', '.value': 'v', '@input': () => inputs++, '?disabled': true}
+		const key = Symbol()
+		const template = () => /** @type {[HTMLInputElement]} */ (html`<input ...=${props} />`(key))
+
+		const [input] = template()
+
+		props = {title: 'b'}
+		template()
+
+		assertEquals(input.getAttribute('title'), 'b', 'Attribute should update')
+		assertEquals(input.value, '', 'Property should be reset')
+		assertTrue(!input.hasAttribute('disabled'), 'Boolean attribute should be removed')
+
+		input.dispatchEvent(new Event('input'))
+		assertEquals(inputs, 0, 'Event listener should be detached')
+
+		props = {}
+		template()
+		assertTrue(!input.hasAttribute('title'), 'Attribute should be removed')
+	})
+
+	it('works together with other bindings on the same element', () => {
+		const [div] = /** @type {[HTMLDivElement]} */ (
+			html`<div id="static" class=${'c'} ...=${{title: 't'}}></div>`(Symbol())
+		)
+
+		assertEquals(div.id, 'static', 'Static attribute should be kept')
+		assertEquals(div.className, 'c', 'Attribute binding should be set')
+		assertEquals(div.title, 't', 'Spread attribute should be set')
+	})
+
+	it('detaches spread event listeners on dispose', () => {
+		let clicks = 0
+		const key = Symbol()
+		const [button] = /** @type {[HTMLButtonElement]} */ (html`<button ...=${{'@click': () => clicks++}}></button>`(key))
+
+		dispose(key)
+		button.click()
+
+		assertEquals(clicks, 0, 'Listener should be removed')
+	})
+
+	it('throws for a spread binding that is not a single interpolation', () => {
+		let error
+		try {
+			html`<div ...="static"></div>`(Symbol())
+		} catch (e) {
+			error = e
+		}
+
+		assertTrue(error instanceof Error, 'Should throw')
+	})
+})
@@ -0,0 +1,163 @@
+import {html, svg, mathml, renderToString, force, repeat, until} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * @param {() => void} fn
+ */
+function getError(fn) {
+	try {
+		fn()
+	} catch (error) {
+		return error
+	}
+	return undefined
+}
+
+describe('renderToString', () => {
+	it('renders escaped text, wrapped in markers for hydration', () => {
+		const result = renderToString(html` <p>Hello ${'<b>world</b>'} &amp; ${null}${0}</p> `)
+
+		assertEquals(
+			result,
+			'<p>Hello <!--nh:0-->&lt;b&gt;world&lt;/b&gt;<!--/nh--> &amp; <!--nh:1--><!--/nh--><!--nh:2-->0<!--/nh--></p>',
+			'Static HTML should be kept, and values escaped',
+		)
+	})
+
+	it('renders escaped attributes and boolean attributes, and skips properties and events', () => {
+		const result = renderToString(
+			html`<input
+				id="name"
+				title='Say "${'<hi>'}"'
+				?disabled=${true}
+				?hidden=${false}
+				.value=${'x'}
+				@input=${() => {}}
+			/>`,
+		)
+
+		assertEquals(
+			result,
+			'<input id="name" title="Say &quot;&lt;hi&gt;&quot;" disabled data-nh="0"/>',
+			'Bindings should be rendered in HTML where possible',
+		)
+	})
+
+	it('numbers the elements that have bindings', () => {
+		const result = renderToString(html`<div><a href=${'/a'}></a><b></b><i @click=${() => {}}></i></div>`)
+
+		assertEquals(
+			result,
+			'<div><a href="/a" data-nh="0"></a><b></b><i data-nh="1"></i></div>',
+			'Each element with bindings should have its ordinal',
+		)
+	})
+
+	it('renders class and style maps, and spread attributes', () => {
+		const result = renderToString(
+			html`<div class=${['a', false, 'b']} style=${{fontSize: '2px', color: 'red !important'}}></div>
+				<span ...=${{'?hidden': true, '.foo': 1, '@click': () => {}, role: 'note'}}></span>`,
+		)
+
+		assertEquals(
+			result,
+			'<div class="a b" style="font-size: 2px; color: red !important" data-nh="0"></div>' +
+				'<span hidden role="note" data-nh="1"></span>',
+			'Maps and spreads should render as attributes',
+		)
+	})
+
+	it('throws for spread keys that are not valid attribute names', () => {
+		for (const key of ['"><script>alert(1)</script><x y="', 'a b', '?x=y', '']) {
+			const error = getError(() => renderToString(html`<input ...=${{[key]: 'v'}} />`))
+			assertTrue(error instanceof Error && error.message.includes('Invalid attribute name'), `${key} should throw`)
+		}
+	})
+
+	it('renders nested templates, arrays, repeat(), and force() values', () => {
+		const items = ['a', 'b']
+		const item = (/** @type {string} */ i) => html`<em>${i}</em>`
+
+		const list = items.map(item)
+		const repeated = repeat(items, i => i, item)
+
+		const result = renderToString(html`<span>${list}</span><b>${repeated}</b><i>${force('c')}</i>`)
+
+		assertEquals(
+			result,
+			'<span><!--nh:0--><em><!--nh:0-->a<!--/nh--></em><em><!--nh:0-->b<!--/nh--></em><!--/nh--></span>' +
+				'<b><!--nh:1--><em><!--nh:0-->a<!--/nh--></em><em><!--nh:0-->b<!--/nh--></em><!--/nh--></b>' +
+				'<i><!--nh:2-->c<!--/nh--></i>',
+			'Nested content should be rendered in place',
+		)
+	})
+
+	it('renders svg and mathml templates', () => {
+		assertEquals(
+			renderToString(html`<svg>${svg`<circle r=${5} />`}</svg>`),
+			'<svg><!--nh:0--><circle r="5" data-nh="0"/><!--/nh--></svg>',
+			'SVG should be rendered',
+		)
+
+		assertEquals(
+			renderToString(mathml`<mi>${'x'}</mi>`),
+			'<mi><!--nh:0-->x<!--/nh--></mi>',
+			'MathML should be rendered',
+		)
+	})
+
+	it('renders values in raw text elements without markers', () => {
+		const result = renderToString(
+			html`<style>
+					p::after {
+						content: '${'</style>'}';
+					}</style
+				><textarea>${'<a>'}</textarea>`,
+		)
+
+		assertTrue(result.includes(`content: '<\\/style>';`), 'The end tag should be escaped in styles')
+		assertTrue(result.includes('<textarea>&lt;a&gt;</textarea>'), 'Textarea content should be escaped')
+	})
+
+	it('renders placeholders for promises, and the current value of signals', () => {
+		const signal = {get: () => 'signal value', subscribe: () => () => {}}
+
+		const result = renderToString(
+			html`<p>${until(new Promise(() => {}), 'loading')}${Promise.resolve('later')}${signal}</p>`,
+		)
+
+		assertEquals(
+			result,
+			'<p><!--nh:0-->loading<!--/nh--><!--nh:1--><!--/nh--><!--nh:2-->signal value<!--/nh--></p>',
+			'Async values should render what is available now',
+		)
+	})
+
+	it('throws for functions that are not templates', () => {
+		let error
+		try {
+			renderToString(html`<p>${() => []}</p>`)
+		} catch (e) {
+			error = e
+		}
+
+		assertTrue(error instanceof TypeError, 'Should throw a TypeError')
+	})
+})
@@ -0,0 +1,111 @@
+import {html, literal, unsafeStatic, renderToString, strict} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * @param {() => void} fn
+ */
+function getError(fn) {
+	try {
+		fn()
+	} catch (error) {
+		return error
+	}
+	return undefined
+}
+
+describe('Static values', () => {
+	it('renders dynamic tag names with literal', () => {
+		const heading = (/** @type {number} */ level, /** @type {string} */ text) => {
+			const tag = level === 1 ? literal`h1` : literal`h2`
+			return html`<${tag} class="title" title=${text}>${text}</${tag}>`
+		}
+
+		const [h1] = /** @type {Element[]} */ (heading(1, 'One')(Symbol()))
+		const [h2] = /** @type {Element[]} */ (heading(2, 'Two')(Symbol()))
+
+		assertEquals(h1.outerHTML, '<h1 class="title" title="One">One</h1>', 'An h1 should be rendered')
+		assertEquals(h2.outerHTML, '<h2 class="title" title="Two">Two</h2>', 'An h2 should be rendered')
+	})
+
+	it('updates the values of a template with static values, and keeps separate instances per static value', () => {
+		const key = Symbol()
+		const template = (/** @type {string} */ tag, /** @type {string} */ text) =>
+			html`<${unsafeStatic(tag)}>${text}</${unsafeStatic(tag)}>`
+
+		const [first] = template('em', 'a')(key)
+		const [second] = template('em', 'b')(key)
+		assertTrue(first === second, 'The same static values should re-use the instance')
+		assertEquals(second.textContent, 'b', 'The value should be updated')
+
+		const [third] = /** @type {Element[]} */ (template('strong', 'c')(key))
+		assertEquals(third.localName, 'strong', 'Other static values should render another template')
+	})
+
+	it('nests static values in literal', () => {
+		const prefix = literal`my`
+		const [element] = /** @type {Element[]} */ (
+			html`<${literal`${prefix}-card`}></${literal`${prefix}-card`}>`(Symbol())
+		)
+
+		assertEquals(element.localName, 'my-card', 'Static values should be joined')
+		assertTrue(
+			getError(() => literal`${/** @type {any} */ ('h1')}`) instanceof TypeError,
+			'Other values should be rejected',
+		)
+	})
+
+	it('renders static values on the server, and keeps templates strict', () => {
+		const tag = literal`b`
+		assertEquals(
+			renderToString(html`<${tag}>${'bold'}</${tag}>`),
+			'<b><!--nh:0-->bold<!--/nh--></b>',
+			'Static values should be part of the markup',
+		)
+
+		const error = getError(() => strict(html)`<${tag} @click="go()"></${tag}>`(Symbol()))
+		assertTrue(error instanceof Error && error.message.includes('strict mode'), 'Strictness should be kept')
+	})
+
+	it('renders a < before an interpolation in text as text', () => {
+		const template = html`<p>Price <${5}</p>`
+		const [p] = template(Symbol())
+
+		assertEquals(/** @type {Element} */ (p).textContent, 'Price <5', 'The < should be text')
+		assertEquals(renderToString(template), '<p>Price &lt;<!--nh:0-->5<!--/nh--></p>', 'Also on the server')
+	})
+
+	it('explains that tag names need static values', () => {
+		const templates = [
+			() => html`<${'h1'}></${'h1'}>`,
+			() => html`<h1></${'h1'}>`,
+			() => html`<${'div'}>text</div>`,
+			() => html`<p><${'input'} /></p>`,
+			() => html`<${'a'} href=${'/'}>link</a>`,
+		]
+
+		for (const template of templates) {
+			const error = getError(() => template()(Symbol()))
+			assertTrue(error instanceof Error && error.message.includes('static value'), 'A helpful error should be thrown')
+
+			const serverError = getError(() => renderToString(template()))
+			assertTrue(serverError instanceof Error && serverError.message.includes('static value'), 'Also on the server')
+		}
+	})
+})
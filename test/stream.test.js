@@ -0,0 +1,162 @@
+import {html, renderToStream, renderToString, until} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * Create a promise along with the function that resolves it.
+ * @template T
+ */
+function deferred() {
+	/** @type {(value: T) => void} */
+	let resolve = () => {}
+	/** @type {Promise<T>} */
+	const promise = new Promise(r => (resolve = r))
+	return {promise, resolve}
+}
+
+/**
+ * Run `fn`, and return the reasons of the promise rejections that were not
+ * handled meanwhile.
+ * @param {() => Promise<void>} fn
+ */
+async function getUnhandledRejections(fn) {
+	/** @type {unknown[]} */
+	const reasons = []
+	const onUnhandled = (/** @type {PromiseRejectionEvent} */ event) => reasons.push(event.reason)
+	globalThis.addEventListener('unhandledrejection', onUnhandled)
+
+	try {
+		await fn()
+	} finally {
+		globalThis.removeEventListener('unhandledrejection', onUnhandled)
+	}
+
+	return reasons
+}
+
+/**
+ * @param {AsyncIterable<string>} stream
+ */
+async function collect(stream) {
+	const chunks = []
+	for await (const chunk of stream) chunks.push(chunk)
+	return chunks
+}
+
+describe('renderToStream', () => {
+	it('sends the HTML before a promise, before the promise resolves', async () => {
+		/** @type {ReturnType<typeof deferred<string>>} */
+		const data = deferred()
+		const stream = renderToStream(
+			html`<header>Title</header>
+				<main>${data.promise}</main>`,
+		)
+
+		const first = await stream.next()
+		assertEquals(first.value, '<header>Title</header><main><!--nh:0-->', 'The static prefix should be sent first')
+
+		data.resolve('<content>')
+
+		const second = await stream.next()
+		assertEquals(second.value, '&lt;content&gt;<!--/nh--></main>', 'The escaped result should follow')
+		assertEquals((await stream.next()).done, true, 'The stream should end')
+	})
+
+	it('renders the results of promises in order, including nested templates', async () => {
+		/** @type {ReturnType<typeof deferred<unknown>>} */
+		const slow = deferred()
+		const fast = Promise.resolve(html`<b>${Promise.resolve('fast')}</b>`)
+		const stream = renderToStream(
+			html`<p>${slow.promise}</p>
+				<p>${fast}</p>`,
+		)
+
+		setTimeout(() => slow.resolve('slow'), 10)
+
+		const chunks = await collect(stream)
+
+		assertEquals(
+			chunks.join(''),
+			'<p><!--nh:0-->slow<!--/nh--></p><p><!--nh:1--><b><!--nh:0-->fast<!--/nh--></b><!--/nh--></p>',
+			'Results should be rendered where their promises are',
+		)
+	})
+
+	it('awaits the promises of until(), and of attributes', async () => {
+		const template = html`<a href=${Promise.resolve('/page')}>${until(Promise.resolve('done'), 'loading')}</a>`
+
+		const chunks = await collect(renderToStream(template))
+
+		assertEquals(
+			chunks.join(''),
+			'<a href="/page" data-nh="0"><!--nh:1-->done<!--/nh--></a>',
+			'Promises should be awaited instead of rendering placeholders',
+		)
+		assertEquals(
+			renderToString(template),
+			'<a href="" data-nh="0"><!--nh:1-->loading<!--/nh--></a>',
+			'renderToString() should not await promises',
+		)
+	})
+
+	it('renders the fallback of until() when its promise rejects', async () => {
+		const template = html`<p>${until(Promise.reject(new Error('offline')), 'loading', () => 'failed')}</p>`
+
+		const chunks = await collect(renderToStream(template))
+
+		assertEquals(chunks.join(''), '<p><!--nh:0-->failed<!--/nh--></p>', 'The fallback should be rendered')
+	})
+
+	it('handles a promise that rejects while an earlier promise is pending', async () => {
+		/** @type {ReturnType<typeof deferred<string>>} */
+		const slow = deferred()
+		/** @type {ReturnType<typeof deferred<string>>} */
+		const failing = deferred()
+		const rejected = failing.promise.then(() => {
+			throw new Error('offline')
+		})
+		/** @type {string[]} */
+		let chunks = []
+
+		const unhandled = await getUnhandledRejections(async () => {
+			const rendering = collect(
+				renderToStream(
+					html`<p>${slow.promise}</p>
+						<p>${until(rejected, 'loading', () => 'failed')}</p>`,
+				),
+			)
+
+			failing.resolve('')
+			await new Promise(resolve => setTimeout(resolve, 10))
+			slow.resolve('slow')
+			chunks = await rendering
+		})
+
+		assertEquals(unhandled.length, 0, 'The rejection should be handled')
+		assertEquals(
+			chunks.join(''),
+			'<p><!--nh:0-->slow<!--/nh--></p><p><!--nh:1-->failed<!--/nh--></p>',
+			'The fallback should be rendered in order',
+		)
+	})
+
+	it('sends the whole HTML as one chunk when there is nothing to wait for', async () => {
+		const chunks = await collect(
+			renderToStream(
+				html`<ul>
+					${['a', 'b'].map(item => html`<li>${item}</li>`)}
+				</ul>`,
+			),
+		)
+
+		assertEquals(chunks.length, 1, 'There should be one chunk')
+	})
+})
@@ -0,0 +1,82 @@
+import {html, svg, strict, configure} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+/**
+ * Get the error thrown by `fn`.
+ * @param {() => void} fn
+ */
+function getError(fn) {
+	try {
+		fn()
+	} catch (error) {
+		return /** @type {Error} */ (error)
+	}
+	throw new Error('Assertion failed: Expected an error to be thrown')
+}
+
+describe('Strict mode', () => {
+	it('rejects static string event handlers in templates of a strict tag, naming the template and attribute', () => {
+		const strictHtml = strict(html)
+
+		const error = getError(() => strictHtml`<button @click="save()">Save</button>`(Symbol()))
+
+		assertTrue(error.message.includes('strict mode'), 'The error should mention strict mode')
+		assertTrue(error.message.includes('@click'), 'The error should name the attribute')
+		assertTrue(error.message.includes('`<button @click="save()">Save</button>`'), 'The error should name the template')
+	})
+
+	it('rejects interpolated, mixed, and spread string handlers', () => {
+		const strictHtml = strict(html)
+
+		const interpolated = getError(() => strictHtml`<i @click=${'save()'}></i>`(Symbol()))
+		assertTrue(interpolated.message.includes('`<i @click=${…}></i>`'), 'Values should be elided in the name')
+
+		const mixed = getError(() => strictHtml`<i @click="save(${1})"></i>`(Symbol()))
+		assertTrue(mixed.message.includes('@click'), 'Mixed handlers should be rejected')
+
+		const spread = getError(() => strictHtml`<i ...=${{'@click': 'save()'}}></i>`(Symbol()))
+		assertTrue(spread.message.includes('@click'), 'Spread handlers should be rejected')
+	})
+
+	it('still allows function handlers, and other tags', () => {
+		let clicks = 0
+		const [button] = /** @type {HTMLElement[]} */ (strict(html)`<button @click=${() => clicks++}></button>`(Symbol()))
+		button.click()
+		assertEquals(clicks, 1, 'Function handlers should work')
+
+		const [circle] = /** @type {Element[]} */ (strict(svg)`<circle r=${1} />`(Symbol()))
+		assertEquals(circle.namespaceURI, 'http://www.w3.org/2000/svg', 'Wrapped tags should keep their mode')
+
+		const [i] = /** @type {HTMLElement[]} */ (html`<i @click="event.target.dataset.clicked = 'yes'"></i>`(Symbol()))
+		i.click()
+		assertEquals(i.dataset.clicked, 'yes', 'Templates of other tags should not be strict')
+	})
+
+	it('can be enabled for all templates', () => {
+		configure({strict: true})
+
+		try {
+			const error = getError(() => html`<b @click="save()"></b>`(Symbol()))
+			assertTrue(error.message.includes('`<b @click="save()"></b>`'), 'Every template should be strict')
+		} finally {
+			configure({strict: false})
+		}
+	})
+})
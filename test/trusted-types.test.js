@@ -0,0 +1,128 @@
+import {html, configure, literal, unsafeStatic} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+let policyCount = 0
+
+/**
+ * Record what the Trusted Types policies of the library are given while `fn`
+ * runs, by wrapping the `createPolicy()` method of the browser's policy factory.
+ * A policy name that was not used before is configured, so that the library
+ * creates its policy again, through the wrapper.
+ * @param {(created: {policyNames: string[], html: string[], scripts: string[]}, name: string) => void} fn
+ */
+function withTrustedTypes(fn) {
+	/** @type {{policyNames: string[], html: string[], scripts: string[]}} */
+	const created = {policyNames: [], html: [], scripts: []}
+	const factory = /** @type {any} */ (globalThis).trustedTypes
+	const {createPolicy} = factory
+
+	/**
+	 * @param {string} name
+	 * @param {{createHTML: (s: string) => string, createScript: (s: string) => string}} rules
+	 */
+	factory.createPolicy = (name, rules) => {
+		created.policyNames.push(name)
+		return createPolicy.call(factory, name, {
+			createHTML: (/** @type {string} */ s) => (created.html.push(s), rules.createHTML(s)),
+			createScript: (/** @type {string} */ s) => (created.scripts.push(s), rules.createScript(s)),
+		})
+	}
+
+	try {
+		const name = `nimble-html-test-${++policyCount}`
+		configure({trustedTypesPolicyName: name})
+		fn(created, name)
+	} finally {
+		delete factory.createPolicy
+		configure({trustedTypesPolicyName: 'nimble-html'})
+	}
+}
+
+describe('Trusted Types', () => {
+	before(function () {
+		// Browsers without Trusted Types have nothing to test
+		if (!(/** @type {any} */ (globalThis).trustedTypes)) this.skip()
+	})
+
+	it('creates template markup with a named policy, from the template strings only', () => {
+		withTrustedTypes((created, name) => {
+			const [span] = html`<span title=${'<i>from a value</i>'}>${'<b>also a value</b>'}</span>`(Symbol())
+
+			assertEquals(created.policyNames.join(), name, 'The configured policy name should be used')
+			assertEquals(created.html.length, 1, 'The template markup should go through the policy')
+			assertTrue(created.html[0].includes('<span'), 'The markup should be the template')
+			assertTrue(!created.html[0].includes('value'), 'Interpolated values should not be in the markup')
+			assertEquals(span.textContent, '<b>also a value</b>', 'Values should still be rendered as text')
+		})
+	})
+
+	it('creates the policy again only when the configured name changes', () => {
+		withTrustedTypes((created, name) => {
+			html`<em>first</em>`(Symbol())
+			configure({trustedTypesPolicyName: name})
+			html`<em>same name</em>`(Symbol())
+
+			assertEquals(created.policyNames.length, 1, 'Policies with the same name can not be created twice')
+
+			configure({trustedTypesPolicyName: 'nimble-html'})
+			html`<em>default name</em>`(Symbol())
+
+			assertEquals(created.policyNames.at(-1), 'nimble-html', 'The newly configured name should be used')
+		})
+	})
+
+	it('passes only static string event handlers through the policy', () => {
+		withTrustedTypes(created => {
+			const nodes = html`<i @click="event.target.dataset.clicked = 'static'"></i
+				><b @click=${"event.target.dataset.clicked = 'value'"}></b>`(Symbol())
+			const [first, second] = /** @type {HTMLElement[]} */ (nodes)
+
+			assertEquals(created.scripts.length, 2, 'The parameter and the static code should be blessed')
+			assertEquals(created.scripts[1], "event.target.dataset.clicked = 'static'", 'The static code should be blessed')
+
+			first.click()
+			second.click()
+			assertEquals(first.dataset.clicked, 'static', 'The static handler should run')
+			assertEquals(second.dataset.clicked, 'value', 'The handler from a value should run')
+		})
+	})
+
+	it('does not pass markup or code with text from unsafeStatic() through the policy', () => {
+		withTrustedTypes(created => {
+			/** @param {import('../html.js').StaticValue} tag */
+			const heading = tag => html`<${tag} @click="event.target.dataset.clicked = 'yes'">Title</${tag}>`
+
+			heading(literal`h1`)(Symbol())
+			assertEquals(created.html.length, 1, 'Markup with literal values should be blessed')
+			assertEquals(created.scripts.length, 2, 'Code in markup with literal values should be blessed')
+
+			const [h2] = /** @type {HTMLElement[]} */ (heading(unsafeStatic('h2'))(Symbol()))
+			assertEquals(created.html.length, 1, 'Markup with unsafeStatic() text should not be blessed')
+			assertEquals(created.scripts.length, 2, 'Code in markup with unsafeStatic() text should not be blessed')
+
+			heading(literal`${unsafeStatic('h3')}`)(Symbol())
+			assertEquals(created.html.length, 1, 'Literals with unsafeStatic() text should not be blessed')
+
+			h2.click()
+			assertEquals(h2.localName, 'h2', 'The element should still be rendered')
+			assertEquals(h2.dataset.clicked, 'yes', 'The handler should still run where the CSP allows it')
+		})
+	})
+})
@@ -0,0 +1,154 @@
+import {html, svg, unsafeHTML, unsafeSVG, renderToString} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/**
+ * @param {any} condition
+ * @param {string} message
+ */
+function assertTrue(condition, message = '') {
+	if (!condition) throw new Error(`Assertion failed: ${message}\nExpected truthy value`)
+}
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
+const SCRIPT_REGEXP = /<script>.*<\/script>/
+const CIRCLE_REGEXP = /<circle/
+
+/**
+ * Record the values that are assigned to `innerHTML` of any element while `fn`
+ * runs.
+ * @param {() => void} fn
+ */
+function recordInnerHTML(fn) {
+	/** @type {unknown[]} */
+	const assigned = []
+	/** @type {[object, PropertyDescriptor][]} */
+	const originals = []
+
+	for (const proto of [Element.prototype, HTMLTemplateElement.prototype]) {
+		const descriptor = Object.getOwnPropertyDescriptor(proto, 'innerHTML')
+		if (!descriptor) continue
+		originals.push([proto, descriptor])
+
+		Object.defineProperty(proto, 'innerHTML', {
+			...descriptor,
+			/** @param {unknown} value */
+			set(value) {
+				assigned.push(value)
+				descriptor.set?.call(this, value)
+			},
+		})
+	}
+
+	try {
+		fn()
+	} finally {
+		for (const [proto, descriptor] of originals) Object.defineProperty(proto, 'innerHTML', descriptor)
+	}
+
+	return assigned
+}
+
+describe('unsafeHTML and unsafeSVG', () => {
+	it('renders markup as nodes, and replaces them when the markup changes', () => {
+		const key = Symbol()
+		const template = (/** @type {string} */ markup) => html`<div>Before ${unsafeHTML(markup)} after</div>`
+
+		const [div] = template('<b>bold</b> and <i>italic</i>')(key)
+		assertEquals(div.textContent, 'Before bold and italic after', 'The markup should be rendered in place')
+		const b = /** @type {Element} */ (div).querySelector('b')
+		assertTrue(b, 'The markup should be parsed into elements')
+
+		template('<b>bold</b> and <i>italic</i>')(key)
+		assertTrue(/** @type {Element} */ (div).querySelector('b') === b, 'The same markup should keep the nodes')
+
+		template('<em>new</em>')(key)
+		assertEquals(/** @type {Element} */ (div).innerHTML, 'Before <em>new</em> after', 'Old nodes should be replaced')
+
+		template('')(key)
+		assertEquals(/** @type {Element} */ (div).innerHTML, 'Before  after', 'Empty markup should render nothing')
+	})
+
+	it('parses SVG markup in the SVG namespace', () => {
+		const [icon] = html`<svg viewBox="0 0 10 10">${unsafeSVG('<circle r="5" />')}</svg>`(Symbol())
+		const circle = /** @type {Element} */ (icon).querySelector('circle')
+		assertEquals(circle?.namespaceURI, SVG_NAMESPACE, 'unsafeSVG() should create SVG elements')
+
+		const [g] = svg`<g>${unsafeHTML('<rect width="1" />')}</g>`(Symbol())
+		const rect = /** @type {Element} */ (g).querySelector('rect')
+		assertEquals(rect?.namespaceURI, SVG_NAMESPACE, 'unsafeHTML() should parse in the namespace of an SVG parent')
+	})
+
+	it('passes TrustedHTML on as is, without turning it into a string, for SVG too', () => {
+		// A stand-in for TrustedHTML, which turns into a string when concatenated
+		const trusted = {toString: () => '<circle r="5" />'}
+		/** @type {Node[]} */
+		let nodes = []
+
+		const assigned = recordInnerHTML(() => {
+			nodes = [...html`<svg>${unsafeSVG(trusted)}</svg>`(Symbol()), ...svg`<g>${unsafeHTML(trusted)}</g>`(Symbol())]
+		})
+
+		for (const node of nodes) {
+			const circle = /** @type {Element} */ (node).querySelector('circle')
+			assertEquals(circle?.namespaceURI, SVG_NAMESPACE, 'The markup should be parsed as SVG')
+		}
+		assertTrue(
+			assigned.every(value => typeof value !== 'string' || !CIRCLE_REGEXP.test(value)),
+			'The markup should not be turned into a string',
+		)
+	})
+
+	it('sanitizes with setHTML() where the Sanitizer API is supported', () => {
+		const proto = /** @type {any} */ (HTMLTemplateElement.prototype)
+		/** @type {unknown[][]} */
+		const calls = []
+		proto.setHTML = function (/** @type {string} */ markup, /** @type {unknown} */ options) {
+			calls.push([markup, options])
+			this.innerHTML = markup.replace(SCRIPT_REGEXP, '')
+		}
+
+		try {
+			const sanitizer = {elements: ['b']}
+			const [p] = html`<p>${unsafeHTML('<b>ok</b><script>bad()</script>', {sanitizer})}</p>`(Symbol())
+
+			assertEquals(calls.length, 1, 'setHTML() should be used')
+			assertTrue(/** @type {any} */ (calls[0][1]).sanitizer === sanitizer, 'The sanitizer should be passed on')
+			assertEquals(/** @type {Element} */ (p).innerHTML, '<b>ok</b>', 'The sanitized markup should be rendered')
+		} finally {
+			delete proto.setHTML
+		}
+	})
+
+	it('accepts null options', () => {
+		const [p] = html`<p>${unsafeHTML('<b>bold</b>', null)}</p>`(Symbol())
+		assertEquals(/** @type {Element} */ (p).innerHTML, '<b>bold</b>', 'The markup should be rendered')
+	})
+
+	it('can only be used in text sites', () => {
+		let error
+		try {
+			html`<p title=${unsafeHTML('<b></b>')}></p>`(Symbol())
+		} catch (e) {
+			error = e
+		}
+
+		assertTrue(error instanceof Error, 'Should throw in attribute sites')
+	})
+
+	it('renders the markup as is on the server', () => {
+		assertEquals(
+			renderToString(html`<p>${unsafeHTML('<b>bold</b>')}</p>`),
+			'<p><!--nh:0--><b>bold</b><!--/nh--></p>',
+			'The markup should not be escaped',
+		)
+	})
+})
@@ -0,0 +1,163 @@
+import {html, until} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+/** Wait for pending promise callbacks to run. */
+function settle() {
+	return new Promise(resolve => setTimeout(resolve))
+}
+
+/** @template T */
+function deferred() {
+	/** @type {(value: T) => void} */
+	let resolve = () => {}
+	const promise = /** @type {Promise<T>} */ (new Promise(r => (resolve = r)))
+	return {promise, resolve}
+}
+
+describe('promise interpolation', () => {
+	it('renders the resolved value of a promise in a text site', async () => {
+		const {promise, resolve} = deferred()
+		const [p] = /** @type {[HTMLParagraphElement]} */ (html`<p>${promise}</p>`(Symbol()))
+
+		assertEquals(p.textContent, '', 'Nothing should render while pending')
+
+		resolve('done')
+		await settle()
+
+		assertEquals(p.textContent, 'done', 'Resolved value should render')
+	})
+
+	it('renders resolved values in attribute and property sites', async () => {
+		const [div] = /** @type {[HTMLDivElement]} */ (
+			html`<div title=${Promise.resolve('a title')} .foo=${Promise.resolve(123)}></div>`(Symbol())
+		)
+
+		await settle()
+
+		assertEquals(div.getAttribute('title'), 'a title', 'Attribute should be set')
+		assertEquals(/** @type {any} */ (div).foo, 123, 'Property should be set')
+	})
+
+	it('renders a resolved nested template', async () => {
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div>${Promise.resolve(html`<b>bold</b>`)}</div>`(Symbol()))
+
+		await settle()
+
+		assertEquals(div.innerHTML, '<b>bold</b>', 'Nested template should render')
+	})
+
+	it('never renders a stale promise over a newer promise', async () => {
+		const first = deferred()
+		const second = deferred()
+		/** @type {unknown} */
+		let value = first.promise
+		const key = Symbol()
+		const template = () => /** @type {[HTMLParagraphElement]} */ (html`<p>${value}</p>`(key))
+
+		const [p] = template()
+		value = second.promise
+		template()
+
+		second.resolve('second')
+		await settle()
+		assertEquals(p.textContent, 'second', 'Newer promise should render')
+
+		first.resolve('first')
+		await settle()
+		assertEquals(p.textContent, 'second', 'Stale promise should not render')
+	})
+
+	it('never renders a stale promise over a newer plain value', async () => {
+		const {promise, resolve} = deferred()
+		/** @type {unknown} */
+		let value = promise
+		const key = Symbol()
+		const template = () => /** @type {[HTMLParagraphElement]} */ (html`<p>${value}</p>`(key))
+
+		const [p] = template()
+		value = 'plain'
+		template()
+
+		resolve('stale')
+		await settle()
+		assertEquals(p.textContent, 'plain', 'Stale promise should not render')
+	})
+})
+
+describe('until()', () => {
+	it('renders the placeholder until the promise resolves', async () => {
+		const {promise, resolve} = deferred()
+		const key = Symbol()
+		const template = () => /** @type {[HTMLParagraphElement]} */ (html`<p>${until(promise, 'Loading...')}</p>`(key))
+
+		const [p] = template()
+		assertEquals(p.textContent, 'Loading...', 'Placeholder should render')
+
+		// Re-rendering with the same pending promise keeps the placeholder.
+		template()
+		assertEquals(p.textContent, 'Loading...', 'Placeholder should still render')
+
+		resolve('loaded')
+		await settle()
+		assertEquals(p.textContent, 'loaded', 'Resolved value should render')
+
+		// Re-rendering with the same resolved promise keeps the resolved value.
+		template()
+		assertEquals(p.textContent, 'loaded', 'Resolved value should still render')
+	})
+
+	it('accepts placeholder templates', async () => {
+		const {promise, resolve} = deferred()
+		const [div] = /** @type {[HTMLDivElement]} */ (html`<div>${until(promise, html`<i>loading</i>`)}</div>`(Symbol()))
+
+		assertEquals(div.innerHTML, '<i>loading</i>', 'Placeholder template should render')
+
+		resolve('loaded')
+		await settle()
+		assertEquals(div.innerHTML, 'loaded', 'Placeholder should be replaced')
+	})
+
+	it('renders the fallback for the error when the promise rejects', async () => {
+		const [p] = /** @type {[HTMLParagraphElement]} */ (
+			html`<p>${until(Promise.reject(new Error('offline')), 'Loading...', error => `Failed: ${error}`)}</p>`(Symbol())
+		)
+
+		await settle()
+		assertEquals(p.textContent, 'Failed: Error: offline', 'The fallback should render')
+	})
+
+	it('handles rejected promises without a fallback', async () => {
+		/** @type {unknown[]} */
+		const unhandled = []
+		const onUnhandled = (/** @type {PromiseRejectionEvent} */ event) => unhandled.push(event.reason)
+		globalThis.addEventListener('unhandledrejection', onUnhandled)
+
+		try {
+			const [p] = /** @type {[HTMLParagraphElement]} */ (
+				html`<p>${until(Promise.reject(new Error('offline')), 'Loading...')}${Promise.reject(new Error('x'))}</p>`(
+					Symbol(),
+				)
+			)
+
+			await settle()
+			assertEquals(p.textContent, 'Loading...', 'The placeholder should stay')
+			assertEquals(unhandled.length, 0, 'There should be no unhandled rejections')
+		} finally {
+			globalThis.removeEventListener('unhandledrejection', onUnhandled)
+		}
+	})
+
+	it('renders non-promise values immediately', () => {
+		const [p] = /** @type {[HTMLParagraphElement]} */ (html`<p>${until('now', 'Loading...')}</p>`(Symbol()))
+		assertEquals(p.textContent, 'now', 'Plain value should render')
+	})
+})
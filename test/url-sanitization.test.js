@@ -0,0 +1,101 @@
+import {html, configure, renderToString} from '../html.js'
+
+/**
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} message
+ */
+function assertEquals(actual, expected, message = '') {
+	if (actual !== expected)
+		throw new Error(`Assertion failed: ${message}\nExpected: >>>${expected}<<<\nActual: >>>${actual}<<<`)
+}
+
+const BLOCKED_URL = 'about:invalid#blocked'
+
+describe('URL sanitization', () => {
+	it('blocks dangerous schemes in URL attributes', () => {
+		const [a, img, form] = /** @type {Element[]} */ (
+			html`<a href=${'javascript:alert(1)'}></a><img src=" ${'\tJava\nScript:alert(1)'}" />
+				<form action=${'vbscript:msgbox'}></form>`(Symbol())
+		)
+
+		assertEquals(a.getAttribute('href'), BLOCKED_URL, 'javascript: URLs should be blocked')
+		assertEquals(img.getAttribute('src'), BLOCKED_URL, 'Ignored characters should not hide the scheme')
+		assertEquals(form.getAttribute('action'), BLOCKED_URL, 'Other unknown schemes should be blocked')
+	})
+
+	it('keeps relative URLs, allowed schemes, and media data URLs', () => {
+		const key = Symbol()
+		const template = (/** @type {string} */ url) => html`<a href=${url}></a>`
+		const [a] = /** @type {Element[]} */ (template('/path?x=javascript:1')(key))
+
+		for (const url of ['/path?x=javascript:1', 'page#a:b', 'https://example.com', 'mailto:me@example.com']) {
+			template(url)(key)
+			assertEquals(a.getAttribute('href'), url, `${url} should be kept`)
+		}
+
+		template('data:image/png;base64,iVBORw0KGgo=')(key)
+		assertEquals(a.getAttribute('href'), 'data:image/png;base64,iVBORw0KGgo=', 'Image data URLs should be kept')
+
+		template('data:text/html;base64,PHNjcmlwdD4=')(key)
+		assertEquals(a.getAttribute('href'), BLOCKED_URL, 'Other data URLs should be blocked')
+	})
+
+	it('blocks dangerous schemes in URL properties, and spreads', () => {
+		const [a, iframe] = /** @type {any[]} */ (
+			html`<a .href=${'javascript:alert(1)'}></a><iframe ...=${{src: 'javascript:alert(1)'}}></iframe>`(Symbol())
+		)
+
+		assertEquals(a.href, BLOCKED_URL, 'The property should be blocked')
+		assertEquals(iframe.getAttribute('src'), BLOCKED_URL, 'The spread attribute should be blocked')
+	})
+
+	it('blocks dangerous schemes in the data of objects, and in form actions', () => {
+		const [object, objectWithProperty, button] = /** @type {any[]} */ (
+			html`<object data=${'javascript:alert(1)'}></object><object .data=${'javascript:alert(1)'}></object
+				><button .formAction=${'javascript:alert(1)'}></button>`(Symbol())
+		)
+
+		assertEquals(object.getAttribute('data'), BLOCKED_URL, 'The data attribute should be blocked')
+		assertEquals(objectWithProperty.data, BLOCKED_URL, 'The data property should be blocked')
+		assertEquals(button.formAction, BLOCKED_URL, 'The formAction property should be blocked')
+
+		assertEquals(
+			renderToString(html`<object data=${'javascript:alert(1)'}></object>`),
+			`<object data="${BLOCKED_URL}" data-nh="0"></object>`,
+			'The data attribute should be blocked on the server',
+		)
+	})
+
+	it('leaves other attributes alone', () => {
+		const [div, element] = /** @type {any[]} */ (
+			html`<div title=${'javascript:alert(1)'}></div>
+				<my-element .data=${'key: value'}></my-element>`(Symbol())
+		)
+		assertEquals(div.getAttribute('title'), 'javascript:alert(1)', 'Non-URL attributes should not be changed')
+		assertEquals(element.data, 'key: value', 'The data of other elements should not be changed')
+	})
+
+	it('allows configuring the allowed schemes', () => {
+		configure({urlSchemes: ['https', 'myapp']})
+
+		try {
+			const [a, b] = /** @type {Element[]} */ (
+				html`<a href=${'myapp://settings'}></a><a href=${'http://example.com'}></a>`(Symbol())
+			)
+
+			assertEquals(a.getAttribute('href'), 'myapp://settings', 'Configured schemes should be allowed')
+			assertEquals(b.getAttribute('href'), BLOCKED_URL, 'Schemes that are not configured should be blocked')
+		} finally {
+			configure({urlSchemes: ['http', 'https', 'mailto', 'tel', 'ftp', 'sms', 'blob']})
+		}
+	})
+
+	it('blocks dangerous schemes on the server', () => {
+		assertEquals(
+			renderToString(html`<a href="${'javascript:'}alert(1)"></a>`),
+			`<a href="${BLOCKED_URL}" data-nh="0"></a>`,
+			'The blocked URL should be rendered',
+		)
+	})
+})